@@ -12,7 +12,12 @@ class AffiliateManager {
         UK: 'toolscout20-21',  // Different tags for different regions
         CA: 'toolscout20-22',
         DE: 'toolscout20-23',
-        FR: 'toolscout20-24'
+        FR: 'toolscout20-24',
+        ES: 'YOUR_AMAZON_ES_TAG',
+        IT: 'YOUR_AMAZON_IT_TAG',
+        AU: 'YOUR_AMAZON_AU_TAG',
+        JP: 'YOUR_AMAZON_JP_TAG',
+        IN: 'YOUR_AMAZON_IN_TAG'
       },
       ebay: {
         campid: 'YOUR_EBAY_CAMPID',  // Your eBay Partner Network Campaign ID
@@ -65,10 +70,7 @@ class AffiliateManager {
       const hostname = url.hostname.toLowerCase();
       
       // Detect region from hostname
-      if (hostname.includes('.co.uk')) region = 'UK';
-      else if (hostname.includes('.ca')) region = 'CA';
-      else if (hostname.includes('.de')) region = 'DE';
-      else if (hostname.includes('.fr')) region = 'FR';
+      region = this.detectAmazonRegion(hostname) || region;
       
       const tag = this.affiliateIds.amazon[region];
       if (!tag || tag.includes('YOUR_')) {
@@ -94,6 +96,28 @@ class AffiliateManager {
     }
   }
 
+  /**
+   * Map an Amazon hostname to its marketplace region
+   */
+  detectAmazonRegion(hostname) {
+    // Whole-label suffix match, so amazon.com.au is not read as amazon.com
+    const regions = [
+      ['amazon.com.au', 'AU'],
+      ['amazon.co.uk', 'UK'],
+      ['amazon.co.jp', 'JP'],
+      ['amazon.com', 'US'],
+      ['amazon.ca', 'CA'],
+      ['amazon.de', 'DE'],
+      ['amazon.fr', 'FR'],
+      ['amazon.es', 'ES'],
+      ['amazon.it', 'IT'],
+      ['amazon.in', 'IN']
+    ];
+    
+    const match = regions.find(([suffix]) => hostname === suffix || hostname.endsWith(`.${suffix}`));
+    return match ? match[1] : null;
+  }
+
   /**
    * Extract ASIN from Amazon URL
    */
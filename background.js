@@ -1,28 +1,62 @@
 /**
  * ToolScout - Enhanced Background Script with eBay Integration
- * Supports: Amazon, Home Depot, Leroy Merlin, and eBay
+ * Supports: Amazon, Home Depot, Lowe's, Screwfix, Toolstation, Leroy Merlin,
+ * Castorama, Brico Dépôt, ManoMano, and eBay
  */
 
 'use strict';
 
+// Shared with the content scripts: price parsing, and pack counts and battery
+// capacity for unit prices. Retailer providers back the price comparison, and
+// the matcher keeps accessories and other models out of it and out of alerts.
+// The catalog links one tool's listings across retailers, the converter puts
+// results priced in other currencies on the same footing, and landed cost adds
+// shipping, fees and tax to get the out-the-door price. eBay is searched
+// through its Browse API.
+importScripts(
+  'price-parser.js', 'tool-attributes.js', 'retailer-providers.js', 'ebay-api.js',
+  'product-matcher.js', 'product-catalog.js', 'currency-converter.js', 'landed-cost.js'
+);
+
 // =================================================================================================
 // CONFIGURATION
 // =================================================================================================
 
 const CONFIG = {
-  EBAY_APP_ID: 'RachidEl-PriceDro-PRD-157177206-3983f679', // ⚠️ IMPORTANT: Replace with your actual eBay App ID
   MAX_ALERTS: 50,
   CACHE_DURATION: 3600000, // 1 hour in milliseconds
-  RETAILERS: ['amazon', 'homedepot', 'leroymerlin', 'ebay']
+  RETAILERS: [
+    'amazon', 'homedepot', 'lowes', 'screwfix', 'toolstation',
+    'leroymerlin', 'castorama', 'bricodepot', 'manomano', 'ebay'
+  ],
+  HEALTH_WINDOW: 20,              // Recent product page visits kept per retailer
+  HEALTH_MIN_VISITS: 5,           // Visits needed before a retailer can be flagged
+  HEALTH_WARNING_THRESHOLD: 0.7,  // Flag retailers below 70% recent success
+  HISTORY_MAX_POINTS: 90,         // Price observations kept per product
+  HISTORY_MAX_PRODUCTS: 500,      // Least recently seen products are dropped beyond this
+  GOOD_DEAL_MARGIN: 0.02,         // Within 2% of the lowest recorded price is a good deal
+  HIGH_PRICE_MARGIN: 0.1,         // 10% above the average recorded price is a high price
+  PROVIDER_TIMEOUT: 8000,         // Per-retailer search timeout for price comparison
+  COMPARISON_LIMIT: 5,            // Results kept per retailer
+  ALERT_SEARCH_LIMIT: 10,         // eBay results scored per alert in scheduled checks
+  CATALOG_MAX_ENTRIES: 500        // Least recently seen catalog entries without alerts are dropped beyond this
 };
 
-// eBay category IDs for tools
-const EBAY_TOOL_CATEGORIES = {
-  all: '631',           // Business & Industrial > Light Equipment & Tools
-  powerTools: '3244',   // Power Tools
-  handTools: '29525',   // Hand Tools
-  gardenTools: '29518', // Yard, Garden & Outdoor Living
-  automotive: '6000'    // Automotive Tools
+// Availability states that fire a back-in-stock alert
+const RESTOCK_STATES = ['in_stock', 'low_stock', 'in_store_only'];
+
+// Sellers trusted by alerts limited to official offers (counterfeit batteries and chargers)
+const OFFICIAL_SELLER_TYPES = ['amazon', 'manufacturer'];
+
+// Symbols used in the toolbar badge and notifications
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  CAD: '$',
+  AUD: '$',
+  GBP: '£',
+  EUR: '€',
+  JPY: '¥',
+  INR: '₹'
 };
 
 // =================================================================================================
@@ -33,168 +67,26 @@ let currentProductData = null;
 let comparisonResults = [];
 let searchCache = new Map();
 
-// =================================================================================================
-// EBAY API CLASS
-// =================================================================================================
-
-class EbayAPI {
-  constructor(appId) {
-    this.appId = appId;
-    this.cache = new Map();
-  }
-
-  /**
-   * Search for tools on eBay using Finding API
-   */
-  async searchTools(keyword, options = {}) {
-    const cacheKey = `${keyword}_${JSON.stringify(options)}`;
-    
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < CONFIG.CACHE_DURATION) {
-        console.log('[ToolScout] Returning cached eBay results');
-        return cached.data;
-      }
-    }
-
-    try {
-      // Check if API ID is configured
-      if (this.appId === 'YOUR_EBAY_APP_ID') {
-        console.warn('[ToolScout] eBay API ID not configured');
-        return this.getMockResults(keyword);
-      }
-
-      const params = new URLSearchParams({
-        'SECURITY-APPNAME': this.appId,
-        'OPERATION-NAME': 'findItemsByKeywords',
-        'SERVICE-VERSION': '1.0.0',
-        'RESPONSE-DATA-FORMAT': 'JSON',
-        'REST-PAYLOAD': 'true',
-        'keywords': keyword,
-        'categoryId': options.category || EBAY_TOOL_CATEGORIES.all,
-        'paginationInput.entriesPerPage': options.limit || '10',
-        'sortOrder': options.sortBy || 'PricePlusShippingLowest'
-      });
-
-      // Add filters
-      let filterIndex = 0;
-      
-      if (options.condition) {
-        params.append(`itemFilter(${filterIndex}).name`, 'Condition');
-        params.append(`itemFilter(${filterIndex}).value`, options.condition);
-        filterIndex++;
-      }
-      
-      if (options.minPrice) {
-        params.append(`itemFilter(${filterIndex}).name`, 'MinPrice');
-        params.append(`itemFilter(${filterIndex}).value`, options.minPrice);
-        filterIndex++;
-      }
-      
-      if (options.maxPrice) {
-        params.append(`itemFilter(${filterIndex}).name`, 'MaxPrice');
-        params.append(`itemFilter(${filterIndex}).value`, options.maxPrice);
-        filterIndex++;
-      }
-
-      const url = `https://svcs.ebay.com/services/search/FindingService/v1?${params.toString()}`;
-      
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`eBay API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      const items = this.parseEbayResults(data);
-      
-      // Cache the results
-      this.cache.set(cacheKey, {
-        data: items,
-        timestamp: Date.now()
-      });
-
-      return items;
-    } catch (error) {
-      console.error('[ToolScout] eBay API error:', error);
-      return this.getMockResults(keyword);
-    }
-  }
-
-  /**
-   * Parse eBay API response
-   */
-  parseEbayResults(data) {
-    try {
-      const response = data.findItemsByKeywordsResponse?.[0];
-      if (!response || response.ack?.[0] !== 'Success') {
-        console.warn('[ToolScout] eBay API returned no results');
-        return [];
-      }
-
-      const items = response.searchResult?.[0]?.item || [];
-      
-      return items.map(item => ({
-        retailer: 'ebay',
-        title: item.title?.[0] || 'Unknown Item',
-        price: parseFloat(item.sellingStatus?.[0]?.currentPrice?.[0]?.__value__ || 0),
-        currency: item.sellingStatus?.[0]?.currentPrice?.[0]?.['@currencyId'] || 'USD',
-        shipping: item.shippingInfo?.[0]?.shippingServiceCost?.[0]?.__value__ 
-          ? parseFloat(item.shippingInfo?.[0]?.shippingServiceCost?.[0]?.__value__)
-          : item.shippingInfo?.[0]?.shippingType?.[0] === 'Free' ? 'Free' : 'Calculated',
-        condition: item.condition?.[0]?.conditionDisplayName?.[0] || 'Unknown',
-        url: item.viewItemURL?.[0] || '',
-        image: item.galleryURL?.[0] || '',
-        endTime: item.listingInfo?.[0]?.endTime?.[0] || '',
-        type: item.listingInfo?.[0]?.listingType?.[0] || 'Unknown',
-        location: item.location?.[0] || 'Unknown',
-        inStock: item.sellingStatus?.[0]?.sellingState?.[0] === 'Active',
-        seller: {
-          username: item.sellerInfo?.[0]?.sellerUserName?.[0] || 'Unknown',
-          feedback: parseInt(item.sellerInfo?.[0]?.feedbackScore?.[0] || 0),
-          rating: parseFloat(item.sellerInfo?.[0]?.positiveFeedbackPercent?.[0] || 0)
-        }
-      }));
-    } catch (error) {
-      console.error('[ToolScout] Error parsing eBay results:', error);
-      return [];
-    }
-  }
-
-  /**
-   * Get mock results for development/testing
-   */
-  getMockResults(keyword) {
-    console.log('[ToolScout] Returning mock eBay results for:', keyword);
-    return [
-      {
-        retailer: 'ebay',
-        title: `${keyword} - Power Tool Set`,
-        price: 149.99,
-        currency: 'USD',
-        shipping: 'Free',
-        condition: 'New',
-        url: 'https://ebay.com/example',
-        inStock: true,
-        seller: { username: 'toolseller', feedback: 1000, rating: 99.5 }
-      },
-      {
-        retailer: 'ebay',
-        title: `${keyword} - Professional Grade`,
-        price: 189.99,
-        currency: 'USD',
-        shipping: 5.99,
-        condition: 'Refurbished',
-        url: 'https://ebay.com/example2',
-        inStock: true,
-        seller: { username: 'protools', feedback: 2500, rating: 98.7 }
-      }
-    ];
-  }
-}
-
 // Initialize eBay API
-const ebayAPI = new EbayAPI(CONFIG.EBAY_APP_ID);
+// The shopper's own eBay keyset (App ID and Cert ID), entered in settings
+const ebayAPI = new EbayAPI({
+  loadCredentials: async () => (await chrome.storage.local.get(['ebayCredentials'])).ebayCredentials,
+  cacheDuration: CONFIG.CACHE_DURATION
+});
+
+// Retailers searched by price comparison, each switchable in the options page
+const providerRegistry = new ProviderRegistry([
+  new AmazonProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new HomeDepotProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new LowesProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new ScrewfixProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new ToolstationProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new LeroyMerlinProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new CastoramaProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new BricoDepotProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new ManoManoProvider({ timeout: CONFIG.PROVIDER_TIMEOUT }),
+  new EbayProvider(ebayAPI, { timeout: CONFIG.PROVIDER_TIMEOUT })
+]);
 
 // =================================================================================================
 // MESSAGE HANDLERS
@@ -250,6 +142,43 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleDeleteAlert(request.id || request.alertId, sendResponse);
       return true; // Async response
     
+    // Extractor health
+    case 'recordExtractionHealth':
+      handleRecordExtractionHealth(request.data, sendResponse);
+      return true; // Async response
+    
+    case 'getExtractorHealth':
+      handleGetExtractorHealth(sendResponse);
+      return true; // Async response
+    
+    case 'resetExtractorHealth':
+      chrome.storage.local.remove('extractorHealth').then(() => {
+        sendResponse({ success: true });
+      });
+      return true; // Async response
+    
+    // Search/category page tiles
+    case 'lookupProducts':
+      handleLookupProducts(request.items, sendResponse);
+      return true; // Async response
+    
+    case 'getPriceHistory':
+      handleGetPriceHistory(request.url, sendResponse);
+      return true; // Async response
+    
+    // Product catalog
+    case 'getCatalog':
+      handleGetCatalog(sendResponse);
+      return true; // Async response
+    
+    case 'mergeCatalogEntries':
+      handleMergeCatalogEntries(request.targetId, request.sourceId, sendResponse);
+      return true; // Async response
+    
+    case 'splitCatalogListing':
+      handleSplitCatalogListing(request.entryId, request.listingKey, sendResponse);
+      return true; // Async response
+    
     case 'checkPriceDrops':
       checkPriceDrops().then(() => {
         sendResponse({ success: true });
@@ -302,9 +231,10 @@ function handleProductDetection(data, sender, sendResponse) {
     
     // Update badge if we have price
     if (sender.tab?.id && productInfo.price) {
+      const symbol = getCurrencySymbol(productInfo.currency);
       const badgeText = productInfo.price < 100 
-        ? `$${Math.round(productInfo.price)}` 
-        : '$99+';
+        ? `${symbol}${Math.round(productInfo.price)}` 
+        : `${symbol}99+`;
       
       chrome.action.setBadgeText({
         text: badgeText,
@@ -322,8 +252,11 @@ function handleProductDetection(data, sender, sendResponse) {
       data: productInfo 
     });
     
-    // Check for price alerts
-    checkPriceAlerts(productInfo);
+    // File the page in the catalog first; alerts follow its catalog entry
+    recordCatalogProduct(productInfo).then(catalogId => {
+      checkPriceAlerts({ ...productInfo, catalogId });
+    });
+    recordPriceHistory([productInfo]);
   });
 }
 
@@ -333,57 +266,66 @@ function handleProductDetection(data, sender, sendResponse) {
 async function handlePriceComparison(request, sendResponse) {
   try {
     const searchQuery = request.query || request.productName || 'power drill';
+    // Retailers switched off in the options page are skipped
+    const settings = await chrome.storage.sync.get([
+      'toolscoutSettings',
+      ...providerRegistry.providers.map(provider => provider.settingKey)
+    ]);
+    const postcode = settings.toolscoutSettings?.shipping?.postcode || null;
+    // The page panel compares in the page's own currency; everything else uses the setting
+    const currency = request.currency || settings.toolscoutSettings?.pricing?.currency || 'USD';
+    const { currencyRates } = await chrome.storage.local.get(['currencyRates']);
+    const converter = new CurrencyConverter(currencyRates);
+    const taxRegion = LandedCost.region(settings.toolscoutSettings);
     
     console.log('[ToolScout] Comparing prices for:', searchQuery);
     
-    // Search eBay
-    const ebayResults = await ebayAPI.searchTools(searchQuery, {
-      limit: 5,
-      condition: 'New',
-      sortBy: 'PricePlusShippingLowest'
-    });
+    // The popup filters by condition itself; everywhere else compares new items
+    const { results, providers } = await providerRegistry.searchAll(searchQuery, {
+      limit: CONFIG.COMPARISON_LIMIT,
+      postcode,
+      condition: request.condition === 'any' ? null : 'New',
+      marketplace: EbayAPI.marketplaceFor(settings.toolscoutSettings?.tax?.country, currency)
+    }, settings);
     
-    // Mock results for other retailers (in production, you'd call their APIs)
-    const amazonResult = {
-      retailer: 'amazon',
-      title: searchQuery,
-      price: Math.random() * 50 + 100,
-      url: 'https://amazon.com/example',
-      inStock: true,
-      shipping: 'Free'
-    };
+    let allResults = results.filter(item => typeof item.price === 'number' && item.price > 0);
     
-    const homeDepotResult = {
-      retailer: 'homedepot',
-      title: searchQuery,
-      price: Math.random() * 50 + 90,
-      url: 'https://homedepot.com/example',
-      inStock: true,
-      shipping: '$5.99'
-    };
+    // Against the product being viewed, drop listings that are clearly something
+    // else and flag the uncertain ones as possible matches
+    if (request.reference?.title) {
+      allResults = ProductMatcher.rank(request.reference, allResults);
+      linkComparisonResults(request.reference, allResults);
+    }
+    
+    // Sort by total price (item, fees and shipping before tax), then by known
+    // shipping and earliest delivery
+    allResults = allResults.map(item => {
+      const itemCurrency = item.currency || 'USD';
+      const shipping = toShipping(item.shipping, itemCurrency);
+      const landedCost = LandedCost.calculate({ ...item, currency: itemCurrency, shipping }, taxRegion);
+      const unitQuantity = item.attributes?.unitQuantity ?? ToolAttributes.extract({ title: item.title }).unitQuantity;
+      return normalizeCurrency({
+        ...item,
+        currency: itemCurrency,
+        shipping: { ...shipping, currency: shipping.currency || itemCurrency },
+        totalPrice: landedCost.subtotal,
+        landedCost,
+        unitQuantity
+      }, currency, converter);
+    }).sort(compareByTotalPrice);
     
-    // Combine all results
-    let allResults = [
-      ...ebayResults.slice(0, 3),
-      amazonResult,
-      homeDepotResult
-    ];
-    
-    // Sort by total price (including shipping)
-    allResults = allResults.map(item => ({
-      ...item,
-      totalPrice: item.price + (
-        item.shipping === 'Free' ? 0 : 
-        typeof item.shipping === 'number' ? item.shipping :
-        parseFloat(item.shipping?.replace(/[^0-9.]/g, '') || 0)
-      )
-    })).sort((a, b) => a.totalPrice - b.totalPrice);
+    if (request.sortBy === 'unitPrice') {
+      allResults = sortByUnitPrice(allResults);
+    } else if (request.sortBy === 'landedCost') {
+      allResults = allResults.slice().sort(compareByLandedCost);
+    }
     
     comparisonResults = allResults;
     
     sendResponse({
       success: true,
-      results: allResults
+      results: allResults,
+      providers
     });
   } catch (error) {
     console.error('[ToolScout] Price comparison error:', error);
@@ -394,6 +336,129 @@ async function handlePriceComparison(request, sendResponse) {
   }
 }
 
+/**
+ * Express a comparison result in the display currency. The original price and
+ * currency stay on the result; shipping keeps its own currency. Results with
+ * no known rate stay as they are and are flagged.
+ */
+function normalizeCurrency(item, currency, converter) {
+  const { unitQuantity, ...result } = item;
+  
+  if (item.currency !== currency) {
+    const price = converter.convert(item.price, item.currency, currency);
+    const totalPrice = converter.convert(item.totalPrice, item.currency, currency);
+    
+    if (price === null || totalPrice === null) {
+      result.rateMissing = true;
+    } else {
+      Object.assign(result, {
+        originalPrice: item.price,
+        originalTotalPrice: item.totalPrice,
+        originalCurrency: item.currency,
+        exchangeRate: converter.rate(currency) / converter.rate(item.currency),
+        price,
+        totalPrice,
+        currency,
+        landedCost: convertLandedCost(item.landedCost, item.currency, currency, converter)
+      });
+    }
+  }
+  
+  result.unitPrice = ToolAttributes.unitPrice(result.totalPrice, unitQuantity);
+  return result;
+}
+
+function convertLandedCost(landedCost, from, to, converter) {
+  if (!landedCost) return landedCost;
+  const converted = { ...landedCost };
+  ['itemPrice', 'shipping', 'fees', 'tax', 'subtotal', 'total'].forEach(field => {
+    if (typeof converted[field] === 'number') {
+      converted[field] = converter.convert(converted[field], from, to);
+    }
+  });
+  return converted;
+}
+
+/**
+ * Normalize shipping into the structured object that product pages produce.
+ * Accepts an existing object, a cost, 'Free', or free text such as "$5.99".
+ */
+function toShipping(shipping, currency = 'USD') {
+  if (shipping && typeof shipping === 'object') {
+    return shipping;
+  }
+
+  let cost = null;
+  if (typeof shipping === 'number') {
+    cost = shipping;
+  } else if (typeof shipping === 'string') {
+    const amount = parseFloat(shipping.replace(/[^0-9.]/g, ''));
+    cost = /free/i.test(shipping) ? 0 : (isNaN(amount) ? null : amount);
+  }
+
+  return {
+    cost,
+    free: cost === 0,
+    freeThreshold: null,
+    currency,
+    deliveryDate: null,
+    deliveryText: null,
+    pickup: null,
+    location: null,
+    postcode: null,
+    postcodeMatches: null
+  };
+}
+
+function compareByTotalPrice(a, b) {
+  // Prices in a currency without a known rate cannot be compared; list them last
+  if (Boolean(a.rateMissing) !== Boolean(b.rateMissing)) return a.rateMissing ? 1 : -1;
+  if (a.totalPrice !== b.totalPrice) return a.totalPrice - b.totalPrice;
+
+  // Equal totals: a quoted shipping cost beats one only known at checkout
+  const aKnown = a.shipping.cost !== null;
+  const bKnown = b.shipping.cost !== null;
+  if (aKnown !== bKnown) return aKnown ? -1 : 1;
+
+  return (a.shipping.deliveryDate || '9999').localeCompare(b.shipping.deliveryDate || '9999');
+}
+
+/**
+ * Order by out-the-door price. Totals still missing tax or shipping would look
+ * cheaper than they are, so complete ones come first.
+ */
+function compareByLandedCost(a, b) {
+  if (Boolean(a.rateMissing) !== Boolean(b.rateMissing)) return a.rateMissing ? 1 : -1;
+  
+  const aComplete = a.landedCost.taxKnown && a.landedCost.shippingKnown;
+  const bComplete = b.landedCost.taxKnown && b.landedCost.shippingKnown;
+  if (aComplete !== bComplete) return aComplete ? -1 : 1;
+  if (a.landedCost.total !== b.landedCost.total) return a.landedCost.total - b.landedCost.total;
+  
+  return compareByTotalPrice(a, b);
+}
+
+/**
+ * Order by price per unit. Only unit prices in the most common unit compare
+ * (per piece vs per Ah would be meaningless); the rest follow by total price.
+ */
+function sortByUnitPrice(results) {
+  const unitCounts = {};
+  results.forEach(item => {
+    if (item.unitPrice) unitCounts[item.unitPrice.unit] = (unitCounts[item.unitPrice.unit] || 0) + 1;
+  });
+  const unit = Object.keys(unitCounts).sort((a, b) => unitCounts[b] - unitCounts[a])[0];
+  const comparable = item => item.unitPrice?.unit === unit;
+  
+  return results.slice().sort((a, b) => {
+    if (comparable(a) !== comparable(b)) return comparable(a) ? -1 : 1;
+    if (comparable(a) && a.unitPrice.amount !== b.unitPrice.amount) {
+      return a.unitPrice.amount - b.unitPrice.amount;
+    }
+    return compareByTotalPrice(a, b);
+  });
+}
+
 /**
  * Handle eBay search
  */
@@ -422,10 +487,37 @@ async function handleEbaySearch(request, sendResponse) {
  */
 async function handleSaveAlert(alertData, sendResponse) {
   try {
-    const result = await chrome.storage.local.get(['priceAlerts']);
-    const alerts = result.priceAlerts || [];
+    // Filed and saved in one catalog step, so a merge or split moving alerts
+    // in the meantime is not overwritten
+    const newAlert = await updateCatalog(async (catalog, alerts) => {
+      if (alerts.length >= CONFIG.MAX_ALERTS) return null;
+      
+      const key = getProductKey(alertData.productUrl);
+      const entry = key ? catalog.attach(key, {
+        title: alertData.productTitle,
+        url: alertData.productUrl,
+        retailer: alertData.retailer,
+        currency: alertData.currency,
+        price: alertData.currentPrice,
+        attributes: alertData.attributes
+      }) : null;
+      
+      // Add unique ID and metadata
+      const alert = {
+        ...alertData,
+        id: Date.now().toString(),
+        createdAt: Date.now(),
+        active: true,
+        triggered: false,
+        catalogId: entry?.id ?? null
+      };
+      
+      alerts.push(alert);
+      await chrome.storage.local.set({ priceAlerts: alerts });
+      return alert;
+    });
     
-    if (alerts.length >= CONFIG.MAX_ALERTS) {
+    if (!newAlert) {
       sendResponse({ 
         success: false, 
         error: 'Maximum number of alerts reached' 
@@ -433,19 +525,6 @@ async function handleSaveAlert(alertData, sendResponse) {
       return;
     }
     
-    // Add unique ID and metadata
-    const newAlert = {
-      ...alertData,
-      id: Date.now().toString(),
-      createdAt: Date.now(),
-      active: true,
-      triggered: false
-    };
-    
-    alerts.push(newAlert);
-    
-    await chrome.storage.local.set({ priceAlerts: alerts });
-    
     console.log('[ToolScout] Alert saved:', newAlert);
     
     sendResponse({ 
@@ -489,10 +568,9 @@ async function handleGetAlerts(sendResponse) {
  */
 async function handleDeleteAlert(alertId, sendResponse) {
   try {
-    const result = await chrome.storage.local.get(['priceAlerts']);
-    const alerts = (result.priceAlerts || []).filter(a => a.id !== alertId);
-    
-    await chrome.storage.local.set({ priceAlerts: alerts });
+    await updateCatalog(async (catalog, alerts) => {
+      await chrome.storage.local.set({ priceAlerts: alerts.filter(a => a.id !== alertId) });
+    });
     
     console.log('[ToolScout] Alert deleted:', alertId);
     
@@ -506,6 +584,460 @@ async function handleDeleteAlert(alertId, sendResponse) {
   }
 }
 
+// =================================================================================================
+// EXTRACTOR HEALTH
+// =================================================================================================
+
+// Health reports read and rewrite one storage key, so they run one at a time
+let healthQueue = Promise.resolve();
+
+/**
+ * Record one product page extraction attempt in the per-retailer stats
+ */
+async function handleRecordExtractionHealth(report, sendResponse) {
+  try {
+    if (!report || !CONFIG.RETAILERS.includes(report.retailer)) {
+      sendResponse({ success: false, error: 'Invalid health report' });
+      return;
+    }
+    
+    const run = healthQueue.then(async () => {
+      const result = await chrome.storage.local.get(['extractorHealth']);
+      const health = result.extractorHealth || {};
+      applyHealthReport(health, report);
+      await chrome.storage.local.set({ extractorHealth: health });
+    });
+    healthQueue = run.catch(() => {});
+    await run;
+    
+    if (!report.success) {
+      console.warn('[ToolScout] Extraction incomplete on', report.retailer, report.error || '');
+    }
+    
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('[ToolScout] Error recording extractor health:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Add one report to the stored per-retailer stats
+ */
+function applyHealthReport(health, report) {
+  const timestamp = report.timestamp || Date.now();
+  
+  const stats = health[report.retailer] || {
+    totalVisits: 0,
+    successfulVisits: 0,
+    lastSuccess: null,
+    recent: [],
+    fields: {}
+  };
+  
+  stats.totalVisits++;
+  stats.lastVisit = timestamp;
+  stats.packVersion = report.packVersion;
+  
+  if (report.success) {
+    stats.successfulVisits++;
+    stats.lastSuccess = timestamp;
+  }
+  
+  stats.recent.push({ timestamp, success: report.success === true });
+  if (stats.recent.length > CONFIG.HEALTH_WINDOW) {
+    stats.recent.splice(0, stats.recent.length - CONFIG.HEALTH_WINDOW);
+  }
+  
+  for (const [field, outcome] of Object.entries(report.fields || {})) {
+    const fieldStats = stats.fields[field] || {
+      hits: 0,
+      misses: 0,
+      lastSuccess: null,
+      sources: {},
+      selectorIndexes: {}
+    };
+    
+    if (outcome.found) {
+      fieldStats.hits++;
+      fieldStats.lastSuccess = timestamp;
+      fieldStats.sources[outcome.source] = (fieldStats.sources[outcome.source] || 0) + 1;
+      if (outcome.selectorIndex !== null && outcome.selectorIndex !== undefined) {
+        fieldStats.selectorIndexes[outcome.selectorIndex] = (fieldStats.selectorIndexes[outcome.selectorIndex] || 0) + 1;
+      }
+    } else {
+      fieldStats.misses++;
+    }
+    
+    stats.fields[field] = fieldStats;
+  }
+  
+  health[report.retailer] = stats;
+}
+
+/**
+ * Handle getting summarized extractor health for all retailers
+ */
+async function handleGetExtractorHealth(sendResponse) {
+  try {
+    const result = await chrome.storage.local.get(['extractorHealth']);
+    const health = result.extractorHealth || {};
+    
+    sendResponse({
+      success: true,
+      window: CONFIG.HEALTH_WINDOW,
+      threshold: CONFIG.HEALTH_WARNING_THRESHOLD,
+      retailers: Object.entries(health).map(([retailer, stats]) => summarizeRetailerHealth(retailer, stats))
+    });
+  } catch (error) {
+    console.error('[ToolScout] Error getting extractor health:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+      retailers: []
+    });
+  }
+}
+
+/**
+ * Turn raw counters into hit rates and a warning flag
+ */
+function summarizeRetailerHealth(retailer, stats) {
+  const recentSuccesses = stats.recent.filter(visit => visit.success).length;
+  const recentSuccessRate = stats.recent.length ? recentSuccesses / stats.recent.length : null;
+  
+  const fields = {};
+  for (const [field, fieldStats] of Object.entries(stats.fields)) {
+    const attempts = fieldStats.hits + fieldStats.misses;
+    fields[field] = {
+      hitRate: attempts ? fieldStats.hits / attempts : null,
+      lastSuccess: fieldStats.lastSuccess,
+      sources: fieldStats.sources,
+      selectorIndexes: fieldStats.selectorIndexes
+    };
+  }
+  
+  return {
+    retailer,
+    packVersion: stats.packVersion,
+    totalVisits: stats.totalVisits,
+    successRate: stats.totalVisits ? stats.successfulVisits / stats.totalVisits : null,
+    recentVisits: stats.recent.length,
+    recentSuccessRate,
+    lastSuccess: stats.lastSuccess,
+    lastVisit: stats.lastVisit,
+    warning: stats.recent.length >= CONFIG.HEALTH_MIN_VISITS &&
+      recentSuccessRate < CONFIG.HEALTH_WARNING_THRESHOLD,
+    fields
+  };
+}
+
+// =================================================================================================
+// PRICE HISTORY
+// =================================================================================================
+
+/**
+ * Stable key for a product across product pages and listing tiles:
+ * host plus the retailer's item id where the URL carries one.
+ */
+function getProductKey(url) {
+  try {
+    let parsed = new URL(url);
+    // Sponsored Amazon tiles link through /sspa/click?url=/dp/...
+    if (parsed.pathname.startsWith('/sspa/') && parsed.searchParams.get('url')) {
+      parsed = new URL(parsed.searchParams.get('url'), parsed.origin);
+    }
+    
+    const host = parsed.hostname.replace(/^www\./, '');
+    const id = parsed.pathname.match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})/i)?.[1]?.toUpperCase() ||
+      parsed.pathname.match(/\/(?:p|pd|itm)\/(?:.*\/)?(\d{6,})\/?$/)?.[1];
+    
+    return id ? `${host}:${id}` : `${host}${parsed.pathname.replace(/\/$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record observed prices. Listing tiles only extend products that already
+ * have a history, so browsing search pages does not fill up storage.
+ */
+async function recordPriceHistory(observations, { existingOnly = false } = {}) {
+  try {
+    const result = await chrome.storage.local.get(['priceHistory']);
+    const history = result.priceHistory || {};
+    const now = Date.now();
+    let changed = false;
+    
+    for (const observation of observations) {
+      const price = observation.comparablePrice ?? observation.price;
+      const key = getProductKey(observation.url);
+      if (!key || typeof price !== 'number' || !(price > 0)) continue;
+      if (existingOnly && !history[key]) continue;
+      
+      const entry = history[key] || {
+        retailer: observation.retailer,
+        title: observation.title,
+        url: observation.url,
+        currency: observation.currency || 'USD',
+        lowestPrice: null,
+        lowestAt: null,
+        points: []
+      };
+      
+      entry.points.push({ price, timestamp: now });
+      if (entry.points.length > CONFIG.HISTORY_MAX_POINTS) {
+        entry.points.splice(0, entry.points.length - CONFIG.HISTORY_MAX_POINTS);
+      }
+      if (entry.lowestPrice === null || price < entry.lowestPrice) {
+        entry.lowestPrice = price;
+        entry.lowestAt = now;
+      }
+      entry.lastPrice = price;
+      entry.lastSeen = now;
+      history[key] = entry;
+      changed = true;
+    }
+    
+    if (!changed) return;
+    
+    const keys = Object.keys(history);
+    if (keys.length > CONFIG.HISTORY_MAX_PRODUCTS) {
+      keys.sort((a, b) => history[a].lastSeen - history[b].lastSeen)
+        .slice(0, keys.length - CONFIG.HISTORY_MAX_PRODUCTS)
+        .forEach(key => delete history[key]);
+    }
+    
+    await chrome.storage.local.set({ priceHistory: history });
+  } catch (error) {
+    console.error('[ToolScout] Error recording price history:', error);
+  }
+}
+
+/**
+ * Rate a price against the recorded history: 'good', 'fair', 'high',
+ * or null when there is not enough history to judge
+ */
+function rateDeal(entry, price) {
+  if (!entry || typeof price !== 'number' || entry.points.length < 2) return null;
+  
+  const average = entry.points.reduce((sum, point) => sum + point.price, 0) / entry.points.length;
+  if (price <= entry.lowestPrice * (1 + CONFIG.GOOD_DEAL_MARGIN)) return 'good';
+  if (price >= average * (1 + CONFIG.HIGH_PRICE_MARGIN)) return 'high';
+  return 'fair';
+}
+
+/**
+ * Batch lookup for listing tiles: tracked state, lowest recorded price and deal rating
+ */
+async function handleLookupProducts(items, sendResponse) {
+  try {
+    if (!Array.isArray(items)) {
+      sendResponse({ success: false, error: 'Invalid lookup request' });
+      return;
+    }
+    
+    const result = await chrome.storage.local.get(['priceHistory', 'priceAlerts']);
+    const history = result.priceHistory || {};
+    const trackedKeys = new Set((result.priceAlerts || [])
+      .filter(alert => alert.active && !alert.triggered)
+      .map(alert => getProductKey(alert.productUrl)));
+    
+    const results = items.map(item => {
+      const key = getProductKey(item.url);
+      const entry = key ? history[key] : null;
+      
+      return {
+        url: item.url,
+        key,
+        tracked: trackedKeys.has(key),
+        lowestPrice: entry?.lowestPrice ?? null,
+        lowestAt: entry?.lowestAt ?? null,
+        currency: entry?.currency || item.currency || null,
+        deal: rateDeal(entry, item.price)
+      };
+    });
+    
+    sendResponse({ success: true, results });
+    
+    recordPriceHistory(items, { existingOnly: true });
+  } catch (error) {
+    console.error('[ToolScout] Error looking up products:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Recorded price history for one product page
+ */
+async function handleGetPriceHistory(url, sendResponse) {
+  try {
+    const key = getProductKey(url);
+    const result = await chrome.storage.local.get(['priceHistory']);
+    
+    sendResponse({
+      success: true,
+      history: (key && result.priceHistory?.[key]) || null
+    });
+  } catch (error) {
+    console.error('[ToolScout] Error loading price history:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// =================================================================================================
+// PRODUCT CATALOG
+// =================================================================================================
+
+// Catalog and alert updates read and rewrite whole storage keys, so they run one at a time
+let catalogQueue = Promise.resolve();
+
+/**
+ * Apply an update to the stored catalog and save it. Resolves to whatever
+ * the update returns; update(catalog, alerts) may also change the alerts.
+ */
+function updateCatalog(update) {
+  const run = catalogQueue.then(async () => {
+    const result = await chrome.storage.local.get(['productCatalog', 'priceAlerts']);
+    const catalog = new ProductCatalog(result.productCatalog);
+    const alerts = result.priceAlerts || [];
+    const value = await update(catalog, alerts);
+    
+    // Entries with alerts are kept however long ago they were seen
+    catalog.prune(CONFIG.CATALOG_MAX_ENTRIES, new Set(alerts.map(alert => alert.catalogId).filter(Boolean)));
+    await chrome.storage.local.set({ productCatalog: catalog.toJSON() });
+    return value;
+  });
+  catalogQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Save alert fields changed by a price or stock check, keyed by alert id.
+ * Applied to the alerts as stored now, so alerts saved, deleted or moved
+ * while the check ran are kept as they are.
+ */
+function saveAlertChanges(changes) {
+  if (changes.size === 0) return Promise.resolve();
+  
+  return updateCatalog(async (catalog, alerts) => {
+    alerts.forEach(alert => {
+      if (changes.has(alert.id)) Object.assign(alert, changes.get(alert.id));
+    });
+    await chrome.storage.local.set({ priceAlerts: alerts });
+  });
+}
+
+/**
+ * File a product page in the catalog. Resolves to
+ * its entry id, or null if it could not be filed.
+ */
+async function recordCatalogProduct(productData) {
+  try {
+    const key = getProductKey(productData.url);
+    if (!key) return null;
+    return await updateCatalog(catalog => catalog.attach(key, productData)?.id ?? null);
+  } catch (error) {
+    console.error('[ToolScout] Error updating product catalog:', error);
+    return null;
+  }
+}
+
+/**
+ * Add confidently matched comparison results to the viewed product's entry
+ */
+function linkComparisonResults(reference, results) {
+  const matches = results.filter(item => item.match?.confidence === 'match');
+  if (matches.length === 0) return;
+  
+  updateCatalog(catalog => {
+    const entry = catalog.findByListing(getProductKey(reference.url));
+    if (!entry) return;
+    matches.forEach(item => catalog.addListing(entry.id, getProductKey(item.url), item, 'comparison'));
+  }).catch(error => {
+    console.error('[ToolScout] Error linking comparison results:', error);
+  });
+}
+
+/**
+ * Catalog entries for the dashboard, with each listing's recorded price
+ * range and the entry's alert count
+ */
+async function handleGetCatalog(sendResponse) {
+  try {
+    const result = await chrome.storage.local.get(['productCatalog', 'priceHistory', 'priceAlerts']);
+    const catalog = new ProductCatalog(result.productCatalog);
+    const history = result.priceHistory || {};
+    const alerts = result.priceAlerts || [];
+    
+    const entries = catalog.list().map(entry => ({
+      ...entry,
+      alerts: alerts.filter(alert => alert.catalogId === entry.id).length,
+      listings: entry.listings.map(listing => ({
+        ...listing,
+        lowestPrice: history[listing.key]?.lowestPrice ?? null,
+        lastPrice: history[listing.key]?.lastPrice ?? listing.price
+      }))
+    }));
+    
+    sendResponse({ success: true, entries });
+  } catch (error) {
+    console.error('[ToolScout] Error loading product catalog:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Merge two entries the matcher kept apart; the source's alerts move along
+ */
+async function handleMergeCatalogEntries(targetId, sourceId, sendResponse) {
+  try {
+    const entry = await updateCatalog(async (catalog, alerts) => {
+      const merged = catalog.merge(targetId, sourceId);
+      
+      const moved = alerts.filter(alert => alert.catalogId === sourceId);
+      moved.forEach(alert => { alert.catalogId = targetId; });
+      if (moved.length > 0) {
+        await chrome.storage.local.set({ priceAlerts: alerts });
+      }
+      return merged;
+    });
+    
+    sendResponse({ success: true, entry });
+  } catch (error) {
+    console.error('[ToolScout] Error merging catalog entries:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Split a wrongly grouped listing into its own entry. Alerts set on that
+ * listing's page move with it.
+ */
+async function handleSplitCatalogListing(entryId, listingKey, sendResponse) {
+  try {
+    const entry = await updateCatalog(async (catalog, alerts) => {
+      const split = catalog.split(entryId, listingKey);
+      
+      const moved = alerts.filter(alert =>
+        alert.catalogId === entryId && getProductKey(alert.productUrl) === listingKey);
+      moved.forEach(alert => { alert.catalogId = split.id; });
+      if (moved.length > 0) {
+        await chrome.storage.local.set({ priceAlerts: alerts });
+      }
+      return split;
+    });
+    
+    sendResponse({ success: true, entry });
+  } catch (error) {
+    console.error('[ToolScout] Error splitting catalog listing:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // =================================================================================================
 // PRICE MONITORING
 // =================================================================================================
@@ -515,28 +1047,70 @@ async function handleDeleteAlert(alertId, sendResponse) {
  */
 async function checkPriceDrops() {
   try {
-    const result = await chrome.storage.local.get(['priceAlerts']);
+    const result = await chrome.storage.local.get(['priceAlerts', 'productCatalog']);
     const alerts = result.priceAlerts || [];
     
     if (alerts.length === 0) return;
     
+    // Mock results would match every alert and fire fake price drops
+    await ebayAPI.ready();
+    if (!ebayAPI.isConfigured()) {
+      console.warn('[ToolScout] eBay API not configured; skipping price drop checks');
+      return;
+    }
+    
     console.log('[ToolScout] Checking price drops for', alerts.length, 'alerts');
     
-    let updatedAlerts = false;
+    const catalog = new ProductCatalog(result.productCatalog);
+    const { toolscoutSettings } = await chrome.storage.sync.get(['toolscoutSettings']);
+    const taxRegion = LandedCost.region(toolscoutSettings);
+    const { currencyRates } = await chrome.storage.local.get(['currencyRates']);
+    const converter = new CurrencyConverter(currencyRates);
+    const matchedListings = [];
+    const alertChanges = new Map();
     
     for (const alert of alerts) {
-      if (!alert.active || alert.triggered) continue;
+      // Back-in-stock alerts are checked against the product page itself
+      if (!alert.active || alert.triggered || alert.type === 'restock') continue;
       
       try {
-        // Search for current prices
+        // Search the eBay site listing in the alert's currency, or the
+        // shopper's own site with prices converted for the target
+        const alertCurrency = alert.currency || 'USD';
+        const marketplace = EbayAPI.marketplaceForCurrency(alertCurrency, toolscoutSettings?.tax?.country) ||
+          EbayAPI.marketplaceFor(toolscoutSettings?.tax?.country, alertCurrency);
+        
+        // Search for current prices; the cheapest hit is often an accessory or
+        // another model, so only confident matches count
         const results = await ebayAPI.searchTools(alert.productTitle, {
-          limit: 1,
+          limit: CONFIG.ALERT_SEARCH_LIMIT,
           condition: 'New',
-          sortBy: 'PricePlusShippingLowest'
+          sortBy: 'PricePlusShippingLowest',
+          marketplace,
+          // A failed search skips this alert instead of checking it against mock results
+          strict: true
         });
+        const match = findAlertMatch(alert, results, catalog);
         
-        if (results.length > 0) {
-          const currentPrice = results[0].price;
+        if (match) {
+          matchedListings.push({ alertId: alert.id, item: match });
+          
+          // Alerts can target the out-the-door price instead of the listing price
+          const landedCost = LandedCost.calculate(match, taxRegion);
+          const listedPrice = alert.useLandedCost ? landedCost.total : match.price;
+          const currentPrice = converter.convert(listedPrice, match.currency || 'USD', alertCurrency);
+          const symbol = getCurrencySymbol(alertCurrency);
+          if (currentPrice === null) {
+            console.warn('[ToolScout] No exchange rate to check alert:', match.currency, alertCurrency);
+            continue;
+          }
+          
+          // Update last checked price, in the alert's currency
+          const changes = {
+            lastCheckedPrice: converter.convert(match.price, match.currency || 'USD', alertCurrency),
+            lastLandedCost: landedCost,
+            lastCheckedDate: Date.now()
+          };
           
           // Check if price dropped below target
           if (currentPrice <= alert.targetPrice) {
@@ -545,32 +1119,40 @@ async function checkPriceDrops() {
             // Send notification
             chrome.notifications.create({
               type: 'basic',
-              iconUrl: 'icons/icon128.png',
+              iconUrl: 'icons/icon-128.png',
               title: '🎉 Price Drop Alert!',
-              message: `${alert.productTitle} is now $${currentPrice.toFixed(2)} (target: $${alert.targetPrice})`,
+              message: `${alert.productTitle} is now ${symbol}${currentPrice.toFixed(2)}` +
+                `${alert.useLandedCost ? ' landed' : ''} (target: ${symbol}${alert.targetPrice})`,
               buttons: [{ title: 'View Deal' }]
             });
             
             // Mark as triggered
-            alert.triggered = true;
-            alert.triggeredPrice = currentPrice;
-            alert.triggeredDate = Date.now();
-            alert.dealUrl = results[0].url;
-            updatedAlerts = true;
+            Object.assign(changes, {
+              triggered: true,
+              triggeredPrice: currentPrice,
+              triggeredDate: Date.now(),
+              dealUrl: match.url
+            });
           }
           
-          // Update last checked price
-          alert.lastCheckedPrice = currentPrice;
-          alert.lastCheckedDate = Date.now();
+          alertChanges.set(alert.id, changes);
         }
       } catch (error) {
         console.error('[ToolScout] Error checking price for alert:', error);
       }
     }
     
-    // Save updated alerts if any changes
-    if (updatedAlerts) {
-      await chrome.storage.local.set({ priceAlerts: alerts });
+    await saveAlertChanges(alertChanges);
+    
+    // Remember where each alert's product was found, under the entry the
+    // alert belongs to now (a merge or split may have moved it meanwhile)
+    if (matchedListings.length > 0) {
+      await updateCatalog((latest, latestAlerts) => {
+        matchedListings.forEach(({ alertId, item }) => {
+          const catalogId = latestAlerts.find(alert => alert.id === alertId)?.catalogId;
+          if (catalogId) latest.addListing(catalogId, getProductKey(item.url), item, 'alert');
+        });
+      });
     }
   } catch (error) {
     console.error('[ToolScout] Error in checkPriceDrops:', error);
@@ -581,34 +1163,170 @@ async function checkPriceDrops() {
  * Check alerts for a specific product
  */
 async function checkPriceAlerts(productData) {
-  if (!productData || !productData.price) return;
+  if (!productData) return;
   
   try {
-    const result = await chrome.storage.local.get(['priceAlerts']);
+    const result = await chrome.storage.local.get(['priceAlerts', 'currencyRates']);
     const alerts = result.priceAlerts || [];
+    const taxRegion = await getTaxRegion();
+    const converter = new CurrencyConverter(result.currencyRates);
+    const alertChanges = new Map();
     
     for (const alert of alerts) {
       if (alert.active && 
           !alert.triggered &&
-          alert.productTitle?.toLowerCase().includes(productData.title?.toLowerCase())) {
+          alertMatchesProduct(alert, productData)) {
+        
+        if (alert.type === 'restock') {
+          const changes = checkRestockAlert(alert, productData);
+          if (changes) alertChanges.set(alert.id, changes);
+          continue;
+        }
+        if (!productData.price) continue;
+        
+        // Includes fees like the French éco-participation when shown separately
+        const comparablePrice = productData.comparablePrice ?? productData.price;
+        let alertPrice = alert.useEffectivePrice ?
+          productData.effectivePrice ?? comparablePrice : comparablePrice;
         
-        if (productData.price <= alert.targetPrice) {
+        if (alert.officialSellerOnly && !isOfficialSeller(productData.buyBox)) {
+          alertPrice = getLowestOfficialOffer(productData.offers);
+          if (alertPrice === null) continue;
+        }
+        
+        if (alert.useLandedCost) {
+          // alertPrice already includes separately shown fees
+          alertPrice = LandedCost.calculate({ ...productData, price: alertPrice, ecoFee: null }, taxRegion).total;
+        }
+        
+        // Catalog matches can be on another marketplace; compare in the alert's currency
+        const alertCurrency = alert.currency || productData.currency || 'USD';
+        alertPrice = converter.convert(alertPrice, productData.currency || alertCurrency, alertCurrency);
+        if (alertPrice === null) continue;
+        
+        if (alertPrice <= alert.targetPrice) {
+          const symbol = getCurrencySymbol(alertCurrency);
+          
           // Send notification
           chrome.notifications.create({
             type: 'basic',
-            iconUrl: 'icons/icon128.png',
+            iconUrl: 'icons/icon-128.png',
             title: '🎉 Price Alert Match!',
-            message: `${productData.title} is at $${productData.price} (target: $${alert.targetPrice})`,
+            message: `${productData.title} is at ${symbol}${alertPrice.toFixed(2)}${alert.useLandedCost ? ' landed' : ''} ` +
+              `(target: ${symbol}${alert.targetPrice})`,
             buttons: [{ title: 'View Product' }]
           });
         }
       }
     }
+    
+    await saveAlertChanges(alertChanges);
   } catch (error) {
     console.error('[ToolScout] Error checking price alerts:', error);
   }
 }
 
+/**
+ * Fire a back-in-stock alert once the page shows the product available again.
+ * Returns the alert fields to save, or null if nothing changed.
+ */
+function checkRestockAlert(alert, productData) {
+  const state = productData.availability?.state;
+  if (!state || state === 'unknown') return null;
+  
+  const changes = { lastAvailability: state, lastCheckedDate: Date.now() };
+  
+  if (!RESTOCK_STATES.includes(state)) {
+    return alert.lastAvailability !== state ? changes : null;
+  }
+  
+  const symbol = getCurrencySymbol(productData.currency);
+  const price = productData.price ? ` at ${symbol}${productData.price}` : '';
+  const where = state === 'in_store_only' ? ' (in store only)' : '';
+  
+  chrome.notifications.create(`alert-${alert.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon-128.png',
+    title: '📦 Back in Stock!',
+    message: `${productData.title} is available again${where}${price}`,
+    buttons: [{ title: 'View Product' }]
+  });
+  
+  return {
+    ...changes,
+    triggered: true,
+    triggeredDate: Date.now(),
+    triggeredPrice: productData.price ?? null,
+    dealUrl: productData.url
+  };
+}
+
+/**
+ * Where the shopper pays tax, from the settings page
+ */
+async function getTaxRegion() {
+  const { toolscoutSettings } = await chrome.storage.sync.get(['toolscoutSettings']);
+  return LandedCost.region(toolscoutSettings);
+}
+
+/**
+ * Whether the buy box is Amazon or the brand's own store. Retailers without
+ * a marketplace report no buy box and sell everything themselves.
+ */
+function isOfficialSeller(buyBox) {
+  return !buyBox || OFFICIAL_SELLER_TYPES.includes(buyBox.sellerType);
+}
+
+/**
+ * Cheapest new offer from an official seller in the "Other sellers" panel, or null
+ */
+function getLowestOfficialOffer(offers) {
+  const prices = (offers || [])
+    .filter(offer => offer.condition === 'new' && OFFICIAL_SELLER_TYPES.includes(offer.sellerType))
+    .map(offer => offer.price);
+  return prices.length ? Math.min(...prices) : null;
+}
+
+/**
+ * Whether a product page is the listing an alert watches: the same catalog
+ * entry, the same page, or a confident match on identity. Alerts set on a
+ * variant only fire for that variant, not for the rest of the parent listing.
+ */
+function alertMatchesProduct(alert, productData) {
+  if (alert.variantId && alert.variantId !== productData.variantId) {
+    return false;
+  }
+  // Merges and splits in the catalog override automatic matching
+  if (alert.catalogId && productData.catalogId) {
+    return alert.catalogId === productData.catalogId;
+  }
+  if (alert.productUrl && productData.url &&
+      getProductKey(alert.productUrl) === getProductKey(productData.url)) {
+    return true;
+  }
+  return ProductMatcher.score(alertReference(alert), productData).confidence === 'match';
+}
+
+/**
+ * Cheapest search result that confidently matches the alert's product, or null.
+ * Listings already filed in the catalog belong to whichever entry holds them.
+ */
+function findAlertMatch(alert, results, catalog = null) {
+  const reference = alertReference(alert);
+  const matches = results.filter(item => {
+    if (typeof item.price !== 'number') return false;
+    const owner = alert.catalogId && catalog?.findByListing(getProductKey(item.url));
+    if (owner) return owner.id === alert.catalogId;
+    return ProductMatcher.score(reference, item).confidence === 'match';
+  });
+  if (matches.length === 0) return null;
+  return matches.reduce((best, item) => (item.price < best.price ? item : best));
+}
+
+function alertReference(alert) {
+  return { title: alert.productTitle, attributes: alert.attributes };
+}
+
 /**
  * Schedule periodic price checking
  */
@@ -619,6 +1337,13 @@ function schedulePriceChecking() {
   });
 }
 
+/**
+ * Get the display symbol for a currency code
+ */
+function getCurrencySymbol(currency) {
+  return CURRENCY_SYMBOLS[currency] || (currency ? `${currency} ` : '$');
+}
+
 // =================================================================================================
 // ALARM HANDLERS
 // =================================================================================================
@@ -638,7 +1363,8 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
   // Open the deal when notification button is clicked
   chrome.storage.local.get(['priceAlerts'], (result) => {
     const alerts = result.priceAlerts || [];
-    const alert = alerts.find(a => a.triggered && a.dealUrl);
+    const alert = alerts.find(a => `alert-${a.id}` === notificationId) ||
+      alerts.find(a => a.triggered && a.dealUrl);
     
     if (alert && alert.dealUrl) {
       chrome.tabs.create({ url: alert.dealUrl });
@@ -704,10 +1430,18 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 // =================================================================================================
 
 console.log('[ToolScout] Background service worker loaded');
-console.log('[ToolScout] eBay API configured:', CONFIG.EBAY_APP_ID !== 'YOUR_EBAY_APP_ID');
-
 // Check for API configuration
-if (CONFIG.EBAY_APP_ID === 'YOUR_EBAY_APP_ID') {
-  console.warn('[ToolScout] ⚠️ eBay API ID not configured! Using mock data.');
-  console.warn('[ToolScout] Get your API ID from: https://developer.ebay.com/');
-}
\ No newline at end of file
+ebayAPI.ready().then(() => {
+  console.log('[ToolScout] eBay API configured:', ebayAPI.isConfigured());
+  if (!ebayAPI.isConfigured()) {
+    console.warn('[ToolScout] ⚠️ eBay API keys not set in settings! Using mock data.');
+    console.warn('[ToolScout] Get an App ID and Cert ID from: https://developer.ebay.com/');
+  }
+});
+
+// Keys edited in settings apply without restarting the service worker
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.ebayCredentials) {
+    ebayAPI.setCredentials(changes.ebayCredentials.newValue);
+  }
+});
\ No newline at end of file
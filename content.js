@@ -13,24 +13,44 @@
     const CONFIG = {
         SUPPORTED_SITES: {
             'amazon': {
-                patterns: ['amazon.com', 'amazon.ca', 'amazon.co.uk'],
-                productPagePattern: /\/dp\/|\/gp\/product\//
+                patterns: [
+                    'amazon.com', 'amazon.ca', 'amazon.co.uk', 'amazon.de', 'amazon.fr',
+                    'amazon.es', 'amazon.it', 'amazon.com.au', 'amazon.co.jp', 'amazon.in'
+                ]
             },
             'homedepot': {
-                patterns: ['homedepot.com', 'homedepot.ca'],
-                productPagePattern: /\/p\//
+                patterns: ['homedepot.com', 'homedepot.ca']
+            },
+            'lowes': {
+                patterns: ['lowes.com']
+            },
+            'screwfix': {
+                patterns: ['screwfix.com']
+            },
+            'toolstation': {
+                patterns: ['toolstation.com']
             },
             'leroymerlin': {
-                patterns: ['leroymerlin.fr'],
-                productPagePattern: /\/p\//
+                patterns: ['leroymerlin.fr']
+            },
+            'castorama': {
+                patterns: ['castorama.fr']
+            },
+            'bricodepot': {
+                patterns: ['bricodepot.fr']
+            },
+            'manomano': {
+                patterns: ['manomano.fr']
             },
             'ebay': {
-                patterns: ['ebay.com', 'ebay.ca', 'ebay.co.uk'],
-                productPagePattern: /\/itm\//
+                patterns: ['ebay.com', 'ebay.ca', 'ebay.co.uk', 'ebay.de', 'ebay.fr']
             }
         },
         MAX_TEXT_LENGTH: 500,
         MAX_PRICE_LENGTH: 50,
+        VARIANT_DEBOUNCE: 500, // Let the retailer finish swapping price blocks
+        LOW_STOCK_THRESHOLD: 5, // Stock counts at or below this read as low stock
+        LISTING_DEBOUNCE: 800, // Infinite scroll adds tiles in bursts
         CACHE_TIMEOUT: 30000 // 30 seconds
     };
 
@@ -53,215 +73,523 @@
     // PRODUCT EXTRACTORS
     // =================================================================================================
     
-    const extractors = {
-        amazon: () => {
-            const selectors = {
-                title: [
-                    '#productTitle',
-                    'h1.a-size-large',
-                    '[data-automation-id="product-title"]',
-                    '.product-title'
-                ],
-                price: [
-                    '.a-price .a-offscreen',
-                    '.a-price-whole',
-                    '.a-price.a-text-price.a-size-medium.apexPriceToPay .a-offscreen',
-                    '#price_inside_buybox',
-                    '.a-price-current'
-                ],
-                image: [
-                    '#landingImage',
-                    '#imgBlkFront',
-                    '.a-dynamic-image'
-                ]
-            };
+    // Per-retailer rules come from declarative selector packs (selector-packs.js).
+    // Built-in packs apply until the user-supplied ones have loaded from storage.
+    const packManager = new SelectorPackManager();
+    let selectorPacks = SelectorPackManager.mergePacks(DEFAULT_SELECTOR_PACKS);
 
-            const title = findBySelectors(selectors.title);
-            const priceText = findBySelectors(selectors.price);
-            const price = parsePrice(priceText);
-            const image = findImageBySelectors(selectors.image);
-            
-            return { 
-                title: title || 'Product title not found',
-                price: price,
-                image: image,
-                currency: getCurrency(priceText)
-            };
-        },
+    const packsReady = packManager.loadPacks()
+        .then(packs => { selectorPacks = packs; })
+        .catch(error => console.warn('[ToolScout] Using built-in selector packs:', error));
 
-        homedepot: () => {
-            const selectors = {
-                title: [
-                    'h1.product-details__title',
-                    '.product-header__title',
-                    '[data-testid="product-header-title"]'
-                ],
-                price: [
-                    '.price-format__main-price',
-                    '.price-detailed__full-price',
-                    '[data-testid="price"]'
-                ],
-                image: [
-                    '.mediagallery__mainimage img',
-                    '.media-gallery__main-image img'
-                ]
-            };
+    // Delivery estimates depend on the shopper's ZIP/postcode, set on the settings page
+    let deliveryPostcode = null;
+    chrome.storage.sync.get('toolscoutSettings')
+        .then(result => { deliveryPostcode = result.toolscoutSettings?.shipping?.postcode || null; })
+        .catch(() => {});
 
-            const title = findBySelectors(selectors.title);
-            const priceText = findBySelectors(selectors.price);
-            const price = parsePrice(priceText);
-            const image = findImageBySelectors(selectors.image);
-            
-            return { 
-                title: title || 'Product title not found',
-                price: price,
-                image: image,
-                currency: getCurrency(priceText)
-            };
-        },
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === 'local' && changes[SELECTOR_PACK_STORAGE_KEY]) {
+            packManager.loadPacks().then(packs => { selectorPacks = packs; });
+        }
+        if (namespace === 'sync' && changes.toolscoutSettings) {
+            deliveryPostcode = changes.toolscoutSettings.newValue?.shipping?.postcode || null;
+        }
+    });
 
-        leroymerlin: () => {
-            const selectors = {
-                title: [
-                    'h1.xlarge',
-                    'h1.product-title',
-                    '.product-name h1'
-                ],
-                price: [
-                    '.xlarge',
-                    '.price',
-                    '.product-price'
-                ],
-                image: [
-                    '.mc-product-media-container img',
-                    '.product-image img'
-                ]
-            };
+    // The site's pack with any marketplace override (locale, currency) applied
+    function getActivePack(site) {
+        return SelectorPackManager.forHost(selectorPacks[site], window.location.hostname);
+    }
 
-            const title = findBySelectors(selectors.title);
-            const priceText = findBySelectors(selectors.price);
-            const price = parsePrice(priceText, true); // true for European format
-            const image = findImageBySelectors(selectors.image);
-            
-            return { 
-                title: title || 'Product title not found',
-                price: price,
-                image: image,
-                currency: getCurrency(priceText)
-            };
-        },
+    function isProductPage(site) {
+        const pack = selectorPacks[site];
+        if (!pack) return false;
 
-        ebay: () => {
-            const selectors = {
-                title: [
-                    '.x-item-title__mainTitle',
-                    '.it-ttl',
-                    'h1.it-ttl',
-                    '[data-testid="x-item-title"]'
-                ],
-                price: [
-                    '.x-price-primary span.ux-textspans--BOLD',
-                    '.x-bin-price__content span.ux-textspans--BOLD',
-                    '.prc-now',
-                    'span.notranslate[itemprop="price"]'
-                ],
-                image: [
-                    '.ux-image-carousel-item.active img',
-                    '#icImg',
-                    '[data-testid="x-picture-primary"] img'
-                ],
-                condition: [
-                    '.u-flL.condText',
-                    '[data-testid="x-item-condition"]'
-                ]
-            };
+        try {
+            return new RegExp(pack.productPagePattern).test(window.location.pathname);
+        } catch (e) {
+            return false;
+        }
+    }
 
-            const title = findBySelectors(selectors.title);
-            const priceText = findBySelectors(selectors.price);
-            const price = parsePrice(priceText);
-            const image = findImageBySelectors(selectors.image);
-            const condition = findBySelectors(selectors.condition);
-            
-            return { 
-                title: title || 'Product title not found',
-                price: price,
-                image: image,
-                condition: condition || 'Unknown',
-                currency: getCurrency(priceText)
-            };
+    const PRICE_FIELDS = ['price', 'priceExVat', 'ecoFee', 'listPrice', 'subscribeSave', 'memberPrice'];
+
+    // Fields the page updates in place when another variant is picked, while
+    // JSON-LD and OpenGraph keep describing the variant the page loaded with
+    const VARIANT_LIVE_FIELDS = ['price', 'stock'];
+    // Set once the shopper picks another variant; later extractions of the same
+    // product read those fields live. Cleared when the tab moves to another product.
+    let variantSwitched = false;
+
+    /**
+     * Fill the fields still missing after the structured data pass from the
+     * site's selector pack, recording 'selector' as their source. Fields in
+     * `overrides` are read from the page even when structured data set them.
+     */
+    function extractWithSelectors(pack, product, sources, matches = {}, overrides = []) {
+        // Bare "$" and unmarked amounts take the marketplace currency
+        const priceOptions = { currency: pack.currency || getDomainCurrency() };
+
+        for (const [field, rule] of Object.entries(pack.fields)) {
+            if (product[field] !== undefined && product[field] !== null && !overrides.includes(field)) continue;
+
+            const isPrice = PRICE_FIELDS.includes(field);
+            // List prices are the struck-through ones readPriceText skips
+            const readPrice = field === 'listPrice' ? readText : readPriceText;
+            const { value, index } = matchSelectors(rule.selectors,
+                rule.mode === 'attribute' ? readAttribute(rule.attribute) : (isPrice ? readPrice : readText));
+            if (!value) continue;
+
+            if (isPrice) {
+                // UK trade sites print "£99.99 inc VAT £83.33 ex VAT" in one block
+                const vatPrices = splitVatPrices(value);
+                const priceText = vatPrices ?
+                    (field === 'priceExVat' ? vatPrices.exVat : vatPrices.incVat) || value : value;
+                const parsed = PriceParser.parse(priceText, priceOptions);
+                if (!parsed) continue;
+
+                product[field] = parsed.amount;
+                if (field === 'price' && parsed.isRange) {
+                    product.priceMax = parsed.max;
+                }
+                // "Was $199.99 Now $149.99" in one block
+                if (field === 'price' && parsed.referencePrice > parsed.amount && product.listPrice == null) {
+                    product.listPrice = parsed.referencePrice;
+                    sources.listPrice = 'selector';
+                }
+                if (!product.currency && parsed.currencyDetected) {
+                    product.currency = parsed.currency;
+                    sources.currency = 'selector';
+                }
+                if (field === 'price' && vatPrices?.exVat && product.priceExVat == null) {
+                    product.priceExVat = PriceParser.parseAmount(vatPrices.exVat, priceOptions);
+                    sources.priceExVat = 'selector';
+                }
+                // French listings say "dont 0,50 € d'éco-participation" when the fee is already in the price
+                if (field === 'ecoFee') {
+                    product.ecoFeeIncluded = /\bdont\b|\binclu/i.test(value);
+                }
+            } else {
+                product[field] = stripFieldLabel(field, value);
+            }
+            sources[field] = 'selector';
+            matches[field] = index;
         }
+
+        return product;
+    }
+
+    // Retailers print identifiers with an inline label ("Model # DCD771C2")
+    const FIELD_LABELS = {
+        mpn: /^(?:model|mfr\.?\s*part|mpn)\s*(?:#|no\.?|number)?\s*:?\s*/i,
+        productCode: /^(?:(?:product|item|cat(?:alogue)?)\s*(?:code|no\.?|number|#)|code)\s*:?\s*/i,
+        variantId: /^(?:internet|item|asin|(?:store\s+)?sku)\s*(?:#|no\.?)?\s*:?\s*/i,
+        itemLocation: /^(?:located\s+in|item\s+location)\s*:?\s*/i
     };
 
+    /**
+     * Split a block showing both VAT-inclusive and VAT-exclusive prices.
+     * Returns null when the text carries no VAT labels.
+     */
+    function splitVatPrices(text) {
+        const pattern = /([£€$]?\s*\d[\d.,]*)\s*(inc|incl|ex|exc|excl)\.?\s*VAT/gi;
+        const prices = {};
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const key = match[2].toLowerCase().startsWith('inc') ? 'incVat' : 'exVat';
+            if (!prices[key]) prices[key] = match[1].trim();
+        }
+
+        return prices.incVat || prices.exVat ? prices : null;
+    }
+
+    function stripFieldLabel(field, value) {
+        const label = FIELD_LABELS[field];
+        return label ? value.replace(label, '').trim() : value;
+    }
+
+    /**
+     * Describe the selected variant. Packs without a variant id field fall back
+     * to the selected option labels, which are stable for a given listing.
+     */
+    function readVariant(pack, productData) {
+        const labels = [];
+        (pack.variants?.selected || []).forEach(selector => {
+            try {
+                const element = document.querySelector(selector);
+                const label = element ? readText(element) : null;
+                if (label && !labels.includes(label)) labels.push(label);
+            } catch (e) {
+                // Skip invalid selectors from user packs
+            }
+        });
+
+        const variantLabel = labels.length > 0 ? labels.join(' / ') : null;
+        return {
+            variantId: productData.variantId || (variantLabel ? `label:${variantLabel.toLowerCase()}` : null),
+            variantLabel
+        };
+    }
+
+    /**
+     * Read a coupon badge: "Apply $20 coupon", "Save 15% with coupon"
+     */
+    function parseCoupon(text, priceOptions) {
+        if (!text) return null;
+
+        const percent = String(text).match(/(\d+(?:[.,]\d+)?)\s*%/);
+        if (percent) {
+            return { type: 'percent', value: parseFloat(percent[1].replace(',', '.')), text };
+        }
+
+        const amount = PriceParser.parseAmount(String(text).replace(/\b(?:apply|save|coupon|clip|off|with)\b/gi, ' '), priceOptions);
+        return amount ? { type: 'amount', value: amount, text } : null;
+    }
+
+    /**
+     * Read bulk-pricing rows into [{ minQuantity, price }], cheapest tier last
+     */
+    function readQuantityTiers(pack, priceOptions) {
+        const tiers = [];
+
+        (pack.tierRows || []).forEach(selector => {
+            try {
+                document.querySelectorAll(selector).forEach(row => {
+                    const text = readText(row);
+                    const quantity = text?.match(/(\d+)\s*(?:\+|or\s+more|and\s+up|-\s*\d+)/i) || text?.match(/\bbuy\s+(\d+)/i);
+                    // Drop the quantity so it is not read as an unmarked price
+                    const price = quantity ? PriceParser.parseAmount(text.replace(quantity[0], ' '), priceOptions) : null;
+                    if (quantity && price !== null) {
+                        tiers.push({ minQuantity: parseInt(quantity[1], 10), price });
+                    }
+                });
+            } catch (e) {
+                // Skip invalid selectors from user packs
+            }
+        });
+
+        return tiers.sort((a, b) => a.minQuantity - b.minQuantity);
+    }
+
+    /**
+     * Read the pack's spec table rows into a { label: value } map
+     */
+    function readSpecTable(pack) {
+        const specs = {};
+
+        (pack.specRows || []).forEach(selector => {
+            try {
+                document.querySelectorAll(selector).forEach(row => {
+                    const entry = readSpecRow(row);
+                    if (entry && !(entry.label in specs)) {
+                        specs[entry.label] = entry.value;
+                    }
+                });
+            } catch (e) {
+                // Skip invalid selectors from user packs
+            }
+        });
+
+        return specs;
+    }
+
+    function readSpecRow(row) {
+        // Descend through wrappers until the label and value cells sit side by side
+        let container = row;
+        while (container.children.length === 1) {
+            container = container.children[0];
+        }
+
+        let label;
+        let value;
+        if (container.children.length >= 2) {
+            label = readText(container.children[0]);
+            value = readText(container.children[container.children.length - 1]);
+        } else {
+            // Amazon detail bullets: "Item model number : DCD771C2" with bidi marks around the colon
+            const text = readText(container) || '';
+            const separator = text.indexOf(':');
+            if (separator < 0) return null;
+            label = text.slice(0, separator);
+            value = text.slice(separator + 1);
+        }
+
+        label = (label || '').replace(/[\u200e\u200f:]/g, '').trim();
+        value = (value || '').replace(/[\u200e\u200f]/g, '').trim();
+        return label && value ? { label, value } : null;
+    }
+
     // =================================================================================================
-    // HELPER FUNCTIONS
+    // STRUCTURED DATA EXTRACTION (JSON-LD, MICRODATA, OPENGRAPH)
     // =================================================================================================
-    
-    function findBySelectors(selectors) {
-        for (const selector of selectors) {
+
+    const STRUCTURED_FIELDS = ['title', 'price', 'currency', 'availability', 'brand', 'gtin', 'mpn', 'image', 'condition'];
+
+    function isProductType(type) {
+        const types = Array.isArray(type) ? type : [type];
+        return types.some(t => typeof t === 'string' && /(^|\/|:)Product$/i.test(t));
+    }
+
+    function firstValue(value) {
+        return Array.isArray(value) ? value[0] : value;
+    }
+
+    // schema.org enumerations arrive as full URLs ("https://schema.org/InStock")
+    function normalizeSchemaEnum(value) {
+        if (!value || typeof value !== 'string') return null;
+        return value.replace(/^https?:\/\/schema\.org\//i, '').trim() || null;
+    }
+
+    // schema.org mandates a dot decimal, but some sites emit "129,00" or "1.299,00"
+    function parseStructuredPrice(value) {
+        if (value === null || value === undefined || value === '') return null;
+        return PriceParser.parseAmount(value);
+    }
+
+    function collectJsonLdNodes(data, nodes = []) {
+        if (!data || typeof data !== 'object') return nodes;
+
+        if (Array.isArray(data)) {
+            data.forEach(item => collectJsonLdNodes(item, nodes));
+            return nodes;
+        }
+
+        nodes.push(data);
+        if (data['@graph']) {
+            collectJsonLdNodes(data['@graph'], nodes);
+        }
+        return nodes;
+    }
+
+    function extractJsonLdProduct() {
+        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+
+        for (const script of scripts) {
+            let data;
             try {
-                const element = document.querySelector(selector);
-                if (element) {
-                    const text = (element.innerText || element.textContent || '').trim();
-                    if (text) return sanitizeText(text);
-                }
+                data = JSON.parse(script.textContent);
             } catch (e) {
                 continue;
             }
+
+            const product = collectJsonLdNodes(data).find(node => isProductType(node['@type']));
+            if (!product) continue;
+
+            let offer = firstValue(product.offers) || {};
+            // AggregateOffer wraps the individual offers and exposes lowPrice
+            if (offer.offers) {
+                offer = { ...firstValue(offer.offers), lowPrice: offer.lowPrice, priceCurrency: offer.priceCurrency };
+            }
+            const priceSpec = firstValue(offer.priceSpecification) || {};
+            const brand = firstValue(product.brand);
+            const image = firstValue(product.image);
+
+            return {
+                title: product.name ? sanitizeText(String(product.name)) : null,
+                price: parseStructuredPrice(offer.price ?? priceSpec.price ?? offer.lowPrice),
+                currency: offer.priceCurrency || priceSpec.priceCurrency || null,
+                availability: normalizeSchemaEnum(offer.availability),
+                brand: brand ? sanitizeText(typeof brand === 'string' ? brand : brand.name || '') || null : null,
+                gtin: product.gtin13 || product.gtin12 || product.gtin14 || product.gtin8 || product.gtin || null,
+                mpn: product.mpn || null,
+                image: image ? (typeof image === 'string' ? image : image.url || null) : null,
+                condition: normalizeSchemaEnum(offer.itemCondition)
+            };
+        }
+
+        return null;
+    }
+
+    function readItemprop(scope, prop) {
+        const element = scope.querySelector(`[itemprop="${prop}"]`);
+        if (!element) return null;
+
+        const value = element.getAttribute('content') ||
+            element.getAttribute('href') ||
+            element.getAttribute('src') ||
+            element.textContent;
+        return value ? value.trim() : null;
+    }
+
+    function extractMicrodataProduct() {
+        const scope = document.querySelector('[itemscope][itemtype*="schema.org/Product"]');
+        if (!scope) return null;
+
+        const brandScope = scope.querySelector('[itemprop="brand"]');
+        const brand = brandScope ?
+            (readItemprop(brandScope, 'name') || brandScope.getAttribute('content') || brandScope.textContent) : null;
+        const title = readItemprop(scope, 'name');
+
+        return {
+            title: title ? sanitizeText(title) : null,
+            price: parseStructuredPrice(readItemprop(scope, 'price') || readItemprop(scope, 'lowPrice')),
+            currency: readItemprop(scope, 'priceCurrency'),
+            availability: normalizeSchemaEnum(readItemprop(scope, 'availability')),
+            brand: brand ? sanitizeText(brand) || null : null,
+            gtin: readItemprop(scope, 'gtin13') || readItemprop(scope, 'gtin12') ||
+                readItemprop(scope, 'gtin14') || readItemprop(scope, 'gtin8') || readItemprop(scope, 'gtin'),
+            mpn: readItemprop(scope, 'mpn'),
+            image: readItemprop(scope, 'image'),
+            condition: normalizeSchemaEnum(readItemprop(scope, 'itemCondition'))
+        };
+    }
+
+    function readMeta(names) {
+        for (const name of names) {
+            const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+            const content = element?.getAttribute('content');
+            if (content && content.trim()) return content.trim();
         }
         return null;
     }
 
-    function findImageBySelectors(selectors) {
-        for (const selector of selectors) {
+    function extractMetaProduct() {
+        const title = readMeta(['og:title', 'twitter:title']);
+        const availability = readMeta(['product:availability', 'og:availability']);
+
+        return {
+            title: title ? sanitizeText(title) : null,
+            price: parseStructuredPrice(readMeta(['product:price:amount', 'og:price:amount'])),
+            currency: readMeta(['product:price:currency', 'og:price:currency']),
+            availability: availability ? normalizeSchemaEnum(availability.replace(/\s+/g, '')) : null,
+            brand: readMeta(['product:brand', 'og:brand']),
+            gtin: readMeta(['product:upc', 'product:ean', 'product:gtin']),
+            mpn: readMeta(['product:mfr_part_no']),
+            image: readMeta(['og:image', 'og:image:url', 'twitter:image']),
+            condition: readMeta(['product:condition', 'og:condition'])
+        };
+    }
+
+    /**
+     * Read schema.org Product/Offer data from JSON-LD, microdata and OpenGraph
+     * meta tags, in that order of preference. Returns the merged fields and
+     * the source each field came from.
+     */
+    function extractStructuredData() {
+        const product = {};
+        const sources = {};
+        const layers = [
+            ['json-ld', extractJsonLdProduct],
+            ['microdata', extractMicrodataProduct],
+            ['opengraph', extractMetaProduct]
+        ];
+
+        for (const [source, extract] of layers) {
+            let data;
             try {
-                const element = document.querySelector(selector);
-                if (element && element.src) {
-                    return element.src;
-                }
+                data = extract();
             } catch (e) {
+                console.warn(`[ToolScout] ${source} extraction failed:`, e);
                 continue;
             }
+            if (!data) continue;
+
+            STRUCTURED_FIELDS.forEach(field => {
+                const value = data[field];
+                if ((product[field] === undefined || product[field] === null) &&
+                    value !== null && value !== undefined && value !== '') {
+                    product[field] = value;
+                    sources[field] = source;
+                }
+            });
         }
-        return null;
+
+        return { product, sources };
     }
 
-    function parsePrice(priceText, european = false) {
-        if (!priceText) return null;
-        
-        try {
-            // Remove currency symbols and spaces
-            let cleanPrice = priceText.replace(/[^0-9.,]/g, '');
-            
-            if (european) {
-                // European format: 1.234,56
-                cleanPrice = cleanPrice.replace(/\./g, '').replace(',', '.');
-            } else {
-                // US format: 1,234.56
-                cleanPrice = cleanPrice.replace(/,/g, '');
+    // =================================================================================================
+    // HELPER FUNCTIONS
+    // =================================================================================================
+    
+    /**
+     * Run `read` against the first element of each selector in turn and
+     * return the first non-empty value with the index of the selector that
+     * produced it.
+     */
+    function matchSelectors(selectors, read) {
+        for (let index = 0; index < selectors.length; index++) {
+            try {
+                const element = document.querySelector(selectors[index]);
+                if (!element) continue;
+
+                const value = read(element);
+                if (value) return { value, index };
+            } catch (e) {
+                continue;
             }
-            
-            const price = parseFloat(cleanPrice);
-            return isNaN(price) ? null : price;
-        } catch (e) {
-            return null;
         }
+        return { value: null, index: null };
     }
 
-    function getCurrency(priceText) {
-        if (!priceText) return 'USD';
-        
-        if (priceText.includes('€')) return 'EUR';
-        if (priceText.includes('£')) return 'GBP';
-        if (priceText.includes('$')) return 'USD';
-        if (priceText.includes('CAD')) return 'CAD';
-        
-        // Default based on domain
+    function readText(element) {
+        const text = (element.innerText || element.textContent || '').trim();
+        return text ? sanitizeText(text) : null;
+    }
+
+    function readAttribute(attribute) {
+        // Prefer the resolved DOM property (absolute URLs for src/href)
+        return element => {
+            const value = attribute in element ? element[attribute] : element.getAttribute(attribute);
+            return value ? String(value) : null;
+        };
+    }
+
+    function findBySelectors(selectors) {
+        return matchSelectors(selectors, readText).value;
+    }
+
+    function findAttributeBySelectors(selectors, attribute) {
+        return matchSelectors(selectors, readAttribute(attribute)).value;
+    }
+
+    // Crossed-out was/list prices sit inside the same price blocks as the selling price
+    const STRIKETHROUGH_SELECTOR = 's, del, strike, .a-text-strike, [data-a-strike="true"]';
+
+    /**
+     * Read a price element, joining Amazon's split whole/fraction spans and
+     * skipping any struck-through reference price inside it.
+     */
+    function readPriceText(element) {
+        if (element.matches(STRIKETHROUGH_SELECTOR)) return null;
+
+        const whole = element.matches('.a-price-whole') ? element : element.querySelector('.a-price-whole');
+        const fraction = whole?.parentElement?.querySelector('.a-price-fraction');
+        if (whole && fraction) {
+            // The whole span carries the marketplace's decimal mark ("129." or "129,")
+            const symbol = whole.parentElement.querySelector('.a-price-symbol')?.textContent || '';
+            const wholeText = whole.textContent.trim();
+            const separator = /[.,]$/.test(wholeText) ? '' : '.';
+            return sanitizeText(`${symbol}${wholeText}${separator}${fraction.textContent.trim()}`);
+        }
+
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll(STRIKETHROUGH_SELECTOR).forEach(node => node.remove());
+        return readText(clone);
+    }
+
+    // Country domains to currency; matched on the end of the hostname, since
+    // "www.castorama.fr" contains ".ca"
+    const DOMAIN_CURRENCIES = [
+        ['.fr', 'EUR'], ['.de', 'EUR'], ['.es', 'EUR'], ['.it', 'EUR'],
+        ['.co.uk', 'GBP'], ['.ca', 'CAD'], ['.com.au', 'AUD'], ['.co.jp', 'JPY'], ['.in', 'INR']
+    ];
+
+    function getDomainCurrency() {
         const hostname = window.location.hostname;
-        if (hostname.includes('.fr')) return 'EUR';
-        if (hostname.includes('.co.uk')) return 'GBP';
-        if (hostname.includes('.ca')) return 'CAD';
+        const match = DOMAIN_CURRENCIES.find(([suffix]) => hostname.endsWith(suffix));
         
-        return 'USD';
+        return match ? match[1] : 'USD';
+    }
+
+    // Intl handles per-market conventions: no JPY decimals, lakh grouping for INR, comma decimals for EUR
+    function formatPrice(price, currency = 'USD', locale = 'en-US') {
+        try {
+            return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(price);
+        } catch (e) {
+            return `${currency} ${price.toFixed(2)}`;
+        }
     }
 
     function sanitizeText(text) {
@@ -278,9 +606,14 @@
     // PRODUCT DATA EXTRACTION
     // =================================================================================================
     
-    function extractProductData() {
+    /**
+     * options.liveFields: fields to take from the page over structured data,
+     * by default the variant fields once another variant has been picked
+     */
+    function extractProductData(options = {}) {
         const site = detectSite();
-        if (!site || !extractors[site]) {
+        const pack = getActivePack(site);
+        if (!site || !pack) {
             return {
                 success: false,
                 error: 'Site not supported',
@@ -289,15 +622,71 @@
         }
 
         try {
-            const productData = extractors[site]();
+            const { product, sources } = extractStructuredData();
+            const selectorMatches = {};
+            const productData = extractWithSelectors(pack, product, sources, selectorMatches,
+                options.liveFields ?? (variantSwitched ? VARIANT_LIVE_FIELDS : []));
+            const attributes = ToolAttributes.extract({
+                title: productData.title,
+                specs: readSpecTable(pack),
+                brand: productData.brand,
+                mpn: productData.mpn,
+                gtin: productData.gtin
+            });
+            const variant = readVariant(pack, productData);
+            const priceOptions = { currency: productData.currency || pack.currency || getDomainCurrency() };
+            const coupon = parseCoupon(productData.coupon, priceOptions);
+            const comparablePrice = getComparablePrice(productData);
+            const effective = getEffectivePrice(comparablePrice, coupon, productData.subscribeSave);
+            const shipping = buildShipping(productData, priceOptions);
+            // Spec tables and titles fill identifiers the structured data and packs missed
+            [['brand', 'brand'], ['mpn', 'model'], ['gtin', 'upc']].forEach(([field, attribute]) => {
+                if (!productData[field] && attributes[attribute]) {
+                    productData[field] = attributes[attribute];
+                    sources[field] = 'attributes';
+                }
+            });
+            if (!productData.currency) {
+                productData.currency = pack.currency || getDomainCurrency();
+                sources.currency = 'domain';
+            }
             
             return {
                 success: true,
-                title: productData.title,
-                price: productData.price,
-                image: productData.image,
-                currency: productData.currency || 'USD',
-                condition: productData.condition,
+                title: productData.title || 'Product title not found',
+                price: productData.price ?? null,
+                priceMax: productData.priceMax ?? null,
+                priceExVat: productData.priceExVat ?? null,
+                ecoFee: productData.ecoFee ?? null,
+                comparablePrice: comparablePrice,
+                listPrice: productData.listPrice > productData.price ? productData.listPrice : null,
+                coupon: coupon,
+                subscribeSavePrice: productData.subscribeSave ?? null,
+                memberPrice: productData.memberPrice ?? null,
+                quantityTiers: readQuantityTiers(pack, priceOptions),
+                effectivePrice: effective.price,
+                effectiveDiscounts: effective.discounts,
+                shipping: shipping,
+                image: productData.image || null,
+                currency: productData.currency,
+                priceLocale: pack.priceLocale,
+                condition: productData.condition || (pack.fields.condition ? 'Unknown' : undefined),
+                ...readListingDetails(pack, productData),
+                buyBox: pack.fields.soldBy ? buildBuyBox(productData, attributes.brand) : null,
+                offers: readOffers(pack, priceOptions, attributes.brand),
+                offerSummary: parseOfferSummary(productData.offerSummary, priceOptions),
+                availability: getAvailability(productData.stock, productData.availability),
+                brand: productData.brand || null,
+                gtin: productData.gtin || null,
+                mpn: productData.mpn || null,
+                productCode: productData.productCode || null,
+                attributes: attributes,
+                unitPrice: ToolAttributes.unitPrice(comparablePrice, attributes.unitQuantity),
+                variantId: variant.variantId,
+                variantLabel: variant.variantLabel,
+                sources: sources,
+                selectorMatches: selectorMatches,
+                packVersion: pack.version,
                 retailer: site,
                 url: window.location.href,
                 timestamp: Date.now()
@@ -312,68 +701,433 @@
         }
     }
 
+    /**
+     * Price used when comparing across retailers: adds the éco-participation
+     * fee when the listing shows it on top of the sticker price.
+     */
+    function getComparablePrice(productData) {
+        if (productData.price === null || productData.price === undefined) return null;
+        if (!productData.ecoFee || productData.ecoFeeIncluded) return productData.price;
+
+        return Math.round((productData.price + productData.ecoFee) * 100) / 100;
+    }
+
+    /**
+     * Price a single shopper actually pays: the comparable price less a clip
+     * coupon, or the Subscribe & Save price when that is lower. Member pricing
+     * and quantity tiers need a membership or a bigger order, so they are
+     * reported but never applied.
+     */
+    function getEffectivePrice(comparablePrice, coupon, subscribeSavePrice) {
+        if (comparablePrice === null || comparablePrice === undefined) {
+            return { price: null, discounts: [] };
+        }
+
+        let price = comparablePrice;
+        let discounts = [];
+
+        if (coupon) {
+            const saving = coupon.type === 'percent' ? comparablePrice * coupon.value / 100 : coupon.value;
+            if (saving > 0 && saving < comparablePrice) {
+                price = comparablePrice - saving;
+                discounts = ['coupon'];
+            }
+        }
+        if (subscribeSavePrice > 0 && subscribeSavePrice < price) {
+            price = subscribeSavePrice;
+            discounts = ['subscribeSave'];
+        }
+
+        return { price: Math.round(price * 100) / 100, discounts };
+    }
+
+    // =================================================================================================
+    // STOCK AND AVAILABILITY
+    // =================================================================================================
+
+    const AVAILABILITY_ENUMS = {
+        InStock: 'in_stock',
+        OnlineOnly: 'in_stock',
+        LimitedAvailability: 'low_stock',
+        OutOfStock: 'out_of_stock',
+        SoldOut: 'out_of_stock',
+        Discontinued: 'out_of_stock',
+        BackOrder: 'backorder',
+        PreOrder: 'backorder',
+        PreSale: 'backorder',
+        InStoreOnly: 'in_store_only'
+    };
+
+    // Checked in order: "Temporarily out of stock, order now" is a backorder, and
+    // "unavailable" must be ruled out before "available" matches
+    const AVAILABILITY_PATTERNS = [
+        ['backorder', /back[\s-]?order|pre[\s-]?order|temporarily\s+out\s+of\s+stock.*order|in\s+stock\s+on\s+\w+|usually\s+ships\s+within\s+\d+.*(?:weeks?|months?)|sur\s+commande|précommande|vorbestell/i],
+        ['out_of_stock', /out\s+of\s+stock|unavailable|not\s+available|sold\s+out|no\s+longer\s+available|rupture|indisponible|épuisé|nicht\s+verfügbar|ausverkauft/i],
+        ['in_store_only', /in[\s-]store\s+only|store\s+only|uniquement\s+en\s+magasin|magasin\s+uniquement|nur\s+im\s+markt/i],
+        ['low_stock', /\bonly\s+\d+\s+left|\blast\s+one\b|low\s+stock|limited\s+stock|few\s+left|plus\s+que\s+\d+|dernier\s+article|stock\s+limité|nur\s+noch\s+\d+/i],
+        ['in_stock', /in\s+stock|available|en\s+stock|disponible|auf\s+lager|lieferbar/i]
+    ];
+
+    const AVAILABLE_STATES = ['in_stock', 'low_stock', 'in_store_only'];
+
+    /**
+     * Availability state from the pack's stock text, falling back to the
+     * schema.org value. `quantity` is set when the page shows a stock count.
+     */
+    function getAvailability(stockText, schemaValue) {
+        const text = stockText || null;
+        const countMatch = text ? text.match(/(?:only|just|plus\s+que|il\s+reste|nur\s+noch)\s+(\d+)|(\d+)\s+(?:left|in\s+stock|available|en\s+stock|disponibles?|auf\s+lager)/i) : null;
+        // "More than 10 available" is a floor, not a count
+        const quantity = countMatch && !/more\s+than/i.test(text) ? parseInt(countMatch[1] || countMatch[2], 10) :
+            (text && /\blast\s+one\b|dernier\s+article/i.test(text) ? 1 : null);
+
+        let state = text ? (AVAILABILITY_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || null) : null;
+        if (!state) state = AVAILABILITY_ENUMS[schemaValue] || 'unknown';
+        if (quantity === 0) state = 'out_of_stock';
+        if (state === 'in_stock' && quantity !== null && quantity <= CONFIG.LOW_STOCK_THRESHOLD) state = 'low_stock';
+
+        return {
+            state,
+            quantity,
+            text,
+            inStock: state === 'unknown' ? null : AVAILABLE_STATES.includes(state)
+        };
+    }
+
+    // =================================================================================================
+    // SHIPPING, DELIVERY AND PICKUP
+    // =================================================================================================
+
+    const FREE_SHIPPING_PATTERN = /\b(?:free|gratuite?s?|offerte?s?|kostenlos|gratis)\b/i;
+    const FREE_THRESHOLD_PATTERN = /(?:orders?\s+(?:over|above|of)|spend(?:ing)?|over|dès|à\s+partir\s+de|ab)\s+((?:[A-Z]{0,3}[$£€]\s?)?\d[\d.,]*(?:\s?[€£])?)/i;
+    const PICKUP_UNAVAILABLE_PATTERN = /\b(?:unavailable|not\s+available|out\s+of\s+stock|indisponible|non\s+disponible|nicht\s+verfügbar)\b/i;
+    const PICKUP_AVAILABLE_PATTERN = /\b(?:pick\s*up|collect(?:ion)?|retrait|available|in\s+stock|ready|disponible|today|aujourd'hui)\b/i;
+
+    const MONTHS = {
+        jan: 0, january: 0, janv: 0, janvier: 0, januar: 0,
+        feb: 1, february: 1, 'févr': 1, 'février': 1, fevrier: 1, februar: 1,
+        mar: 2, march: 2, mars: 2, 'märz': 2,
+        apr: 3, april: 3, avr: 3, avril: 3,
+        may: 4, mai: 4,
+        jun: 5, june: 5, juin: 5, juni: 5,
+        jul: 6, july: 6, juil: 6, juillet: 6, juli: 6,
+        aug: 7, august: 7, 'août': 7,
+        sep: 8, sept: 8, september: 8, septembre: 8,
+        oct: 9, october: 9, octobre: 9, okt: 9, oktober: 9,
+        nov: 10, november: 10, novembre: 10,
+        dec: 11, december: 11, 'déc': 11, 'décembre': 11, dez: 11, dezember: 11
+    };
+
+    /**
+     * Turn the pack's delivery, shipping cost and pickup text into one structured
+     * object. `cost` is null when the retailer only quotes it at checkout.
+     */
+    function buildShipping(productData, priceOptions) {
+        const deliveryText = productData.delivery || null;
+        const thresholdMatch = deliveryText ? deliveryText.match(FREE_THRESHOLD_PATTERN) : null;
+        const freeThreshold = thresholdMatch ? PriceParser.parseAmount(thresholdMatch[1], priceOptions) : null;
+        const costText = productData.shippingCost ||
+            (deliveryText && thresholdMatch ? deliveryText.replace(thresholdMatch[0], ' ') : deliveryText);
+
+        let cost = null;
+        if (costText && FREE_SHIPPING_PATTERN.test(costText)) {
+            // "FREE delivery on orders over $35" is only free above the threshold
+            if (freeThreshold === null || productData.shippingCost || productData.price >= freeThreshold) {
+                cost = 0;
+            }
+        } else if (costText) {
+            // Require a currency marker so delivery dates are not read as prices
+            const parsed = PriceParser.parse(costText, priceOptions);
+            cost = parsed?.currencyDetected ? parsed.amount : null;
+        }
+
+        return {
+            cost,
+            free: cost === 0,
+            freeThreshold,
+            currency: priceOptions.currency,
+            deliveryDate: parseDeliveryDate(deliveryText),
+            deliveryText,
+            pickup: productData.pickup ? {
+                available: PICKUP_UNAVAILABLE_PATTERN.test(productData.pickup) ? false :
+                    PICKUP_AVAILABLE_PATTERN.test(productData.pickup) ? true : null,
+                text: productData.pickup
+            } : null,
+            location: productData.deliveryLocation || null,
+            postcode: deliveryPostcode,
+            postcodeMatches: matchesPostcode(productData.deliveryLocation, deliveryPostcode)
+        };
+    }
+
+    /**
+     * Earliest date in a delivery estimate ("Tuesday, October 21", "21 - 23 oct.",
+     * "Tomorrow"), as YYYY-MM-DD
+     */
+    function parseDeliveryDate(text, now = new Date()) {
+        if (!text) return null;
+
+        let date = null;
+        if (/\b(?:today|aujourd'hui|heute)\b/i.test(text)) {
+            date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        } else if (/\b(?:tomorrow|demain|morgen)\b/i.test(text)) {
+            date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        } else {
+            const candidates = [
+                ...Array.from(text.matchAll(/([a-zéûä]+)\.?\s+(\d{1,2})(?![\d.,])/gi),
+                    match => ({ index: match.index, month: match[1], day: match[2] })),
+                ...Array.from(text.matchAll(/(?<![\d.,])(\d{1,2})(?:st|nd|rd|th|er)?\.?\s+(?:-\s*\d{1,2}\s+)?([a-zéûä]+)/gi),
+                    match => ({ index: match.index, month: match[2], day: match[1] }))
+            ].filter(candidate => MONTHS[candidate.month.toLowerCase()] !== undefined)
+                .sort((x, y) => x.index - y.index);
+            if (candidates.length === 0) return null;
+
+            date = new Date(now.getFullYear(), MONTHS[candidates[0].month.toLowerCase()], parseInt(candidates[0].day, 10));
+            // Estimates never lie in the past; "Jan 3" seen in December means next year
+            if (date < new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1)) {
+                date.setFullYear(date.getFullYear() + 1);
+            }
+        }
+
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Whether the page's delivery location is the shopper's postcode. UK pages
+     * often show only the outward code ("SW1A"), so that counts as a match.
+     */
+    function matchesPostcode(location, postcode) {
+        if (!location || !postcode) return null;
+
+        const normalize = value => String(value).toUpperCase().replace(/\s+/g, '');
+        const outward = String(postcode).trim().toUpperCase().split(/\s+/)[0];
+        return normalize(location).includes(normalize(postcode)) ||
+            new RegExp(`\\b${outward.replace(/[^A-Z0-9]/g, '')}\\b`).test(String(location).toUpperCase());
+    }
+
+    // =================================================================================================
+    // SELLERS AND OFFERS
+    // =================================================================================================
+
+    // "Amazon.com", "Amazon.com Services LLC", "Amazon EU S.à r.l.", "Amazon Warehouse"
+    const AMAZON_SELLER_PATTERN = /^amazon(?:\.[a-z]{2,3}(?:\.[a-z]{2})?)?(?:\s+(?:services|eu|export|us|uk|retail|warehouse|resale|media)\b.*)?$/i;
+    const WAREHOUSE_SELLER_PATTERN = /^amazon\s+(?:warehouse|resale)\b/i;
+    const OFFER_CONDITIONS = [
+        ['renewed', /\b(?:renewed|refurbished|reconditionn[ée])/i],
+        ['used', /\b(?:used|occasion|gebraucht)\b/i],
+        ['new', /\b(?:new|neuf|neu)\b/i]
+    ];
+
+    /**
+     * Who holds the buy box: Amazon itself, the brand's own store or a third party
+     */
+    function classifySeller(sellerName, brand) {
+        if (!sellerName) return null;
+        if (AMAZON_SELLER_PATTERN.test(sellerName)) return 'amazon';
+        if (ToolAttributes.isBrandStore(sellerName, brand)) return 'manufacturer';
+        return 'third_party';
+    }
+
+    /**
+     * Buy box seller. Older layouts only print one sentence: "Ships from and
+     * sold by Amazon.com." or "Sold by X and Fulfilled by Amazon."
+     */
+    function buildBuyBox(productData, brand) {
+        let soldBy = productData.soldBy || null;
+        let shipsFrom = productData.shipsFrom || null;
+
+        const sentence = soldBy?.match(/sold\s+by\s+(.+?)(?:\s+and\s+(?:fulfilled|shipped)\s+by\s+(.+?))?\.?$/i);
+        if (sentence) {
+            soldBy = sentence[1].trim();
+            if (!shipsFrom) {
+                shipsFrom = sentence[2] ? sentence[2].trim() : (/ships\s+from\s+and\s+sold/i.test(productData.soldBy) ? soldBy : null);
+            }
+        }
+
+        return {
+            soldBy: soldBy,
+            shipsFrom: shipsFrom,
+            sellerType: classifySeller(soldBy, brand),
+            fulfilledByAmazon: Boolean(shipsFrom && AMAZON_SELLER_PATTERN.test(shipsFrom))
+        };
+    }
+
+    /**
+     * Read the rows of the "Other sellers" offer panel, when the page has it open
+     */
+    function readOffers(pack, priceOptions, brand) {
+        const selectors = pack.offers;
+        if (!selectors) return [];
+
+        let rows;
+        try {
+            rows = document.querySelectorAll(selectors.row);
+        } catch (e) {
+            return [];
+        }
+
+        const read = (row, selector) => {
+            if (!selector) return null;
+            const element = row.querySelector(selector);
+            return element ? readText(element) : null;
+        };
+
+        return Array.from(rows).map(row => {
+            try {
+                const priceElement = row.querySelector(selectors.price);
+                const parsed = priceElement ? PriceParser.parse(readPriceText(priceElement), priceOptions) : null;
+                if (!parsed) return null;
+
+                const soldBy = read(row, selectors.soldBy);
+                const conditionText = read(row, selectors.condition);
+                const ratingText = read(row, selectors.rating);
+                const ratingCount = ratingText?.match(/(\d[\d,.]*)\s*ratings?/i);
+
+                return {
+                    price: parsed.amount,
+                    currency: parsed.currency,
+                    condition: OFFER_CONDITIONS.find(([, pattern]) => pattern.test(conditionText || ''))?.[0] || null,
+                    conditionText: conditionText,
+                    soldBy: soldBy,
+                    shipsFrom: read(row, selectors.shipsFrom),
+                    sellerType: classifySeller(soldBy, brand),
+                    warehouse: Boolean(soldBy && WAREHOUSE_SELLER_PATTERN.test(soldBy)),
+                    rating: parseFeedbackRating(ratingText),
+                    ratingCount: ratingCount ? PriceParser.parseNumber(ratingCount[1]) : null
+                };
+            } catch (e) {
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    function parseOfferSummary(text, priceOptions) {
+        if (!text) return null;
+
+        const count = text.match(/\((\d+)\)/);
+        const parsed = PriceParser.parse(text.replace(/\(\d+\)/, ''), priceOptions);
+        if (!count && !parsed) return null;
+
+        return {
+            count: count ? parseInt(count[1], 10) : null,
+            lowestPrice: parsed ? parsed.amount : null
+        };
+    }
+
+    // =================================================================================================
+    // MARKETPLACE LISTING DETAILS
+    // =================================================================================================
+
+    const LISTING_DETAIL_FIELDS = ['bidAction', 'buyItNow', 'bestOffer', 'bidCount', 'timeLeft', 'seller', 'itemLocation'];
+
+    // "2d 5h", "Ends in 3h 12m", "45 mins 10 secs"
+    const TIME_LEFT_PATTERN = /(\d+)\s*(d|days?|h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/gi;
+    const TIME_LEFT_SECONDS = { d: 86400, h: 3600, m: 60, s: 1 };
+
+    /**
+     * Auction and seller details from a marketplace item page, in the shape the
+     * background's eBay API results use. Empty for packs without these fields.
+     */
+    function readListingDetails(pack, productData, now = Date.now()) {
+        if (!LISTING_DETAIL_FIELDS.some(field => pack.fields[field])) return {};
+
+        const isAuction = Boolean(productData.bidAction || productData.bidCount);
+        let type = null;
+        if (isAuction) {
+            type = productData.buyItNow ? 'AuctionWithBIN' : 'Auction';
+        } else if (productData.buyItNow) {
+            type = 'FixedPrice';
+        }
+
+        const bidMatch = productData.bidCount?.match(/(\d[\d,.]*)\s*bids?\b/i) || productData.bidCount?.match(/\d[\d,.]*/);
+        const secondsLeft = parseTimeLeft(productData.timeLeft);
+        const hasSeller = productData.seller || productData.sellerFeedback || productData.sellerRating;
+
+        return {
+            type: type,
+            bidCount: bidMatch ? PriceParser.parseNumber(bidMatch[1] || bidMatch[0]) : null,
+            timeLeft: productData.timeLeft || null,
+            endTime: secondsLeft ? new Date(now + secondsLeft * 1000).toISOString() : null,
+            bestOffer: Boolean(productData.bestOffer),
+            seller: hasSeller ? {
+                username: productData.seller || null,
+                feedback: parseFeedbackScore(productData.sellerFeedback),
+                rating: parseFeedbackRating(productData.sellerRating)
+            } : null,
+            location: productData.itemLocation || null
+        };
+    }
+
+    function parseTimeLeft(text) {
+        if (!text) return null;
+
+        let seconds = 0;
+        for (const match of text.matchAll(TIME_LEFT_PATTERN)) {
+            seconds += parseInt(match[1], 10) * TIME_LEFT_SECONDS[match[2][0].toLowerCase()];
+        }
+        return seconds || null;
+    }
+
+    // "(12,345)" or "12.3K"
+    function parseFeedbackScore(text) {
+        const match = text?.match(/(\d[\d,.]*)\s*(k)?\b/i);
+        if (!match) return null;
+
+        const score = PriceParser.parseNumber(match[1]);
+        return score === null ? null : Math.round(match[2] ? score * 1000 : score);
+    }
+
+    // "99.5% positive feedback"
+    function parseFeedbackRating(text) {
+        const match = text?.match(/(\d{1,3}(?:[.,]\d+)?)\s*%/);
+        return match ? parseFloat(match[1].replace(',', '.')) : null;
+    }
+
     // =================================================================================================
-    // VISUAL INDICATOR
+    // EXTRACTOR HEALTH REPORTING
     // =================================================================================================
     
-    function addToolScoutIndicator(productInfo) {
-        // Remove existing indicator if present
-        const existing = document.getElementById('toolscout-indicator');
-        if (existing) existing.remove();
-        
-        const indicator = document.createElement('div');
-        indicator.id = 'toolscout-indicator';
-        indicator.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 12px 20px;
-            border-radius: 25px;
-            box-shadow: 0 4px 15px rgba(0,0,0,0.2);
-            z-index: 99999;
-            cursor: pointer;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            font-size: 14px;
-            font-weight: 600;
-            display: flex;
-            align-items: center;
-            gap: 8px;
-            transition: all 0.3s ease;
-            opacity: 0.9;
-        `;
-        
-        const priceDisplay = productInfo.price ? 
-            ` | ${productInfo.currency || '$'}${productInfo.price.toFixed(2)}` : '';
-        
-        indicator.innerHTML = `
-            <span style="font-size: 18px;">🔧</span>
-            <span>ToolScout Active${priceDisplay}</span>
-        `;
-        
-        indicator.addEventListener('mouseenter', () => {
-            indicator.style.transform = 'scale(1.05)';
-            indicator.style.opacity = '1';
-        });
-        
-        indicator.addEventListener('mouseleave', () => {
-            indicator.style.transform = 'scale(1)';
-            indicator.style.opacity = '0.9';
+    /**
+     * Summarize which pack fields were found, and how, for the background's
+     * per-retailer health stats. Sent for every product page visit, including
+     * ones where extraction failed.
+     */
+    function reportExtractionHealth(site, productData) {
+        const pack = selectorPacks[site];
+        if (!pack) return;
+
+        const fields = {};
+        Object.keys(pack.fields).forEach(field => {
+            const source = productData.sources?.[field] || null;
+            fields[field] = {
+                found: source !== null,
+                source: source,
+                selectorIndex: productData.selectorMatches?.[field] ?? null
+            };
         });
-        
-        indicator.addEventListener('click', () => {
-            chrome.runtime.sendMessage({ action: 'openPopup' });
+
+        chrome.runtime.sendMessage({
+            action: 'recordExtractionHealth',
+            data: {
+                retailer: site,
+                packVersion: pack.version,
+                success: productData.success === true && fields.title?.found === true && productData.price != null,
+                error: productData.error || null,
+                fields: fields,
+                timestamp: Date.now()
+            }
+        }).catch(() => {
+            // Ignore errors if background isn't ready
         });
-        
-        document.body.appendChild(indicator);
-        
-        // Auto-fade after 5 seconds
-        setTimeout(() => {
-            indicator.style.opacity = '0.3';
-        }, 5000);
     }
 
+    // =================================================================================================
+    // PAGE PANEL
+    // =================================================================================================
+
+    // Comparison, history and alert panel (page-panel.js), one per page
+    const pagePanel = new ToolScoutPanel({ formatPrice });
+
     // =================================================================================================
     // MESSAGE HANDLERS
     // =================================================================================================
@@ -388,8 +1142,7 @@
         switch (request.action) {
             case 'extractProduct':
             case 'getProductData':
-                const productData = extractProductData();
-                sendResponse(productData);
+                packsReady.then(() => sendResponse(extractProductData()));
                 break;
                 
             case 'ping':
@@ -414,31 +1167,249 @@
     // AUTO-EXTRACTION ON PRODUCT PAGES
     // =================================================================================================
     
-    function checkAndExtractOnPageLoad() {
+    async function checkAndExtractOnPageLoad() {
         const site = detectSite();
         if (!site) return;
         
-        const config = CONFIG.SUPPORTED_SITES[site];
-        const isProductPage = config.productPagePattern.test(window.location.pathname);
+        await packsReady;
         
-        if (isProductPage) {
+        if (isProductPage(site)) {
             setTimeout(() => {
                 const productData = extractProductData();
+                reportExtractionHealth(site, productData);
                 
-                if (productData.success && productData.price) {
-                    // Send to background script
-                    chrome.runtime.sendMessage({
-                        action: 'productDetected',
-                        data: productData
-                    }).catch(() => {
-                        // Ignore errors if background isn't ready
-                    });
-                    
-                    // Add visual indicator
-                    addToolScoutIndicator(productData);
+                if (isPublishable(productData)) {
+                    publishProduct(productData);
                 }
+                watchVariantChanges(site);
             }, 1500); // Wait for page to fully load
+        } else if (isListingPage(site)) {
+            annotateListing(site);
+            watchListing(site);
+        }
+    }
+
+    let lastPublishedKey = null;
+    let variantObserver = null;
+    let variantTimer = null;
+
+    // Out-of-stock pages often hide the price but can still carry a back-in-stock alert
+    function isPublishable(productData) {
+        return productData.success && (Boolean(productData.price) || productData.availability?.inStock === false);
+    }
+
+    function publishKey(productData) {
+        return `${productData.url}|${productData.variantId}|${productData.price}|${productData.availability?.state}|` +
+            `${productData.offers?.length || 0}`;
+    }
+
+    function publishProduct(productData) {
+        lastPublishedKey = publishKey(productData);
+
+        // Send to background script
+        chrome.runtime.sendMessage({
+            action: 'productDetected',
+            data: productData
+        }).catch(() => {
+            // Ignore errors if background isn't ready
+        });
+        
+        pagePanel.show(productData);
+    }
+
+    /**
+     * Re-extract when the shopper picks another variant. Retailers swap the price
+     * block in place, so the URL observer below never sees these changes.
+     */
+    function watchVariantChanges(site) {
+        if (variantObserver || !getActivePack(site)?.variants) return;
+
+        variantObserver = new MutationObserver(mutations => {
+            const watch = getActivePack(site)?.variants?.watch || [];
+            if (!mutations.some(mutation => touchesRegion(mutation, watch))) return;
+
+            clearTimeout(variantTimer);
+            variantTimer = setTimeout(() => reextractVariant(site), CONFIG.VARIANT_DEBOUNCE);
+        });
+        variantObserver.observe(document.body, {
+            subtree: true,
+            childList: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['class', 'aria-checked', 'value']
+        });
+    }
+
+    function touchesRegion(mutation, selectors) {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE ?
+            mutation.target : mutation.target.parentElement;
+        const added = Array.from(mutation.addedNodes).filter(node => node.nodeType === Node.ELEMENT_NODE);
+
+        return selectors.some(selector => {
+            try {
+                return (target && target.closest(selector)) ||
+                    added.some(node => node.matches(selector) || node.querySelector(selector));
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    function reextractVariant(site) {
+        if (!isProductPage(site)) return;
+
+        // The structured data still describes the variant the page loaded with
+        variantSwitched = true;
+        const productData = extractProductData();
+        if (!isPublishable(productData)) return;
+
+        if (publishKey(productData) === lastPublishedKey) return;
+
+        publishProduct({ ...productData, variantChanged: true });
+    }
+
+    // =================================================================================================
+    // LISTING PAGE BADGES
+    // =================================================================================================
+
+    // Set on tiles once they are sent for lookup, so each tile is badged once
+    const LISTING_ATTRIBUTE = 'data-toolscout';
+
+    const DEAL_BADGES = {
+        good: { label: 'Good deal', color: '#2e7d32' },
+        fair: { label: 'Fair price', color: '#667eea' },
+        high: { label: 'Above usual', color: '#c62828' }
+    };
+
+    let listingObserver = null;
+    let listingTimer = null;
+
+    function isListingPage(site) {
+        const listing = selectorPacks[site]?.listing;
+        if (!listing) return false;
+
+        try {
+            return new RegExp(listing.pagePattern).test(window.location.pathname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Read the product tiles on a search/category page that have not been badged yet
+     */
+    function readListingTiles(site, pack) {
+        const { listing } = pack;
+        const priceOptions = { currency: pack.currency || getDomainCurrency() };
+        let elements;
+
+        try {
+            elements = document.querySelectorAll(`${listing.tile}:not([${LISTING_ATTRIBUTE}])`);
+        } catch (e) {
+            return [];
+        }
+
+        return Array.from(elements).map(element => {
+            try {
+                const link = element.querySelector(listing.link);
+                if (!link?.href) return null;
+
+                const titleElement = listing.title ? element.querySelector(listing.title) : null;
+                const priceElement = element.querySelector(listing.price);
+                const parsed = priceElement ? PriceParser.parse(readPriceText(priceElement), priceOptions) : null;
+
+                return {
+                    element,
+                    item: {
+                        retailer: site,
+                        url: link.href,
+                        title: titleElement ? readText(titleElement) : null,
+                        price: parsed ? parsed.amount : null,
+                        currency: parsed ? parsed.currency : priceOptions.currency
+                    }
+                };
+            } catch (e) {
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Badge every new tile with its tracked state, lowest recorded price and
+     * deal rating, looked up from the background in one batch.
+     */
+    async function annotateListing(site) {
+        const pack = getActivePack(site);
+        if (!pack?.listing || !isListingPage(site)) return;
+
+        const tiles = readListingTiles(site, pack);
+        if (tiles.length === 0) return;
+
+        tiles.forEach(({ element }) => element.setAttribute(LISTING_ATTRIBUTE, 'pending'));
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'lookupProducts',
+                items: tiles.map(({ item }) => item)
+            });
+            if (!response?.success) throw new Error(response?.error || 'Lookup failed');
+
+            response.results.forEach((result, index) => addTileBadge(tiles[index].element, result, pack));
+        } catch (error) {
+            // Leave the tiles unmarked so the next pass retries them
+            tiles.forEach(({ element }) => element.removeAttribute(LISTING_ATTRIBUTE));
+        }
+    }
+
+    function addTileBadge(tile, result, pack) {
+        tile.setAttribute(LISTING_ATTRIBUTE, 'badged');
+
+        const parts = [];
+        if (result.tracked) parts.push('Tracked');
+        if (result.lowestPrice !== null) {
+            parts.push(`Low ${formatPrice(result.lowestPrice, result.currency || pack.currency, pack.priceLocale)}`);
+        }
+        const deal = DEAL_BADGES[result.deal];
+        if (deal) parts.push(deal.label);
+        if (parts.length === 0) parts.push('No price history');
+
+        const badge = document.createElement('div');
+        badge.className = 'toolscout-tile-badge';
+        badge.style.cssText = `
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+            margin: 4px 0;
+            padding: 2px 8px;
+            border-radius: 10px;
+            background: ${deal ? deal.color : '#757575'};
+            color: white;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            font-size: 12px;
+            font-weight: 600;
+            line-height: 18px;
+        `;
+        badge.textContent = `🔧 ${parts.join(' · ')}`;
+        if (result.lowestAt) {
+            badge.title = `Lowest price recorded by ToolScout on ${new Date(result.lowestAt).toLocaleDateString()}`;
         }
+
+        tile.appendChild(badge);
+    }
+
+    /**
+     * Badge tiles added later by infinite scroll or client-side filtering
+     */
+    function watchListing(site) {
+        if (listingObserver) return;
+
+        listingObserver = new MutationObserver(mutations => {
+            if (!mutations.some(mutation => mutation.addedNodes.length > 0)) return;
+
+            clearTimeout(listingTimer);
+            listingTimer = setTimeout(() => annotateListing(site), CONFIG.LISTING_DEBOUNCE);
+        });
+        listingObserver.observe(document.body, { subtree: true, childList: true });
     }
 
     // =================================================================================================
@@ -457,6 +1428,10 @@
     new MutationObserver(() => {
         const url = location.href;
         if (url !== lastUrl) {
+            // Variant pickers change the query string; another path is another product
+            if (new URL(url).pathname !== new URL(lastUrl).pathname) {
+                variantSwitched = false;
+            }
             lastUrl = url;
             setTimeout(checkAndExtractOnPageLoad, 1000);
         }
@@ -0,0 +1,152 @@
+/**
+ * ToolScout Currency Converter
+ * Exchange rates for comparing retailers that price in different currencies.
+ * Rates are stored as units of each currency per one US dollar, with when and
+ * how each was last set (built-in, edited by hand, or imported from a file).
+ */
+
+const CURRENCY_BASE = 'USD';
+
+// Built-in estimates until the user edits or imports rates, for every
+// currency retailer pages and the price parser can report
+const DEFAULT_EXCHANGE_RATES = {
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.37,
+  AUD: 1.52,
+  JPY: 150,
+  INR: 83.5
+};
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+class CurrencyConverter {
+  /**
+   * table: the stored { base, rates: { EUR: { rate, source, updatedAt } } } object
+   */
+  constructor(table = {}) {
+    this.rates = {};
+    Object.entries(DEFAULT_EXCHANGE_RATES).forEach(([currency, rate]) => {
+      this.rates[currency] = { rate, source: 'default', updatedAt: null };
+    });
+    Object.assign(this.rates, table.rates || {});
+  }
+
+  /**
+   * Units of currency per US dollar, or null when no rate is known
+   */
+  rate(currency) {
+    if (currency === CURRENCY_BASE) return 1;
+    return this.rates[currency]?.rate || null;
+  }
+
+  /**
+   * Convert an amount, rounded to cents. Null when either rate is missing.
+   */
+  convert(amount, from, to) {
+    if (typeof amount !== 'number' || !isFinite(amount)) return null;
+    if (from === to) return amount;
+
+    const fromRate = this.rate(from);
+    const toRate = this.rate(to);
+    if (!fromRate || !toRate) return null;
+    return Math.round((amount / fromRate) * toRate * 100) / 100;
+  }
+
+  setRate(currency, rate, source = 'manual', updatedAt = Date.now()) {
+    const code = String(currency || '').trim().toUpperCase();
+    const value = typeof rate === 'number' ? rate : parseFloat(String(rate).replace(',', '.'));
+
+    if (!CURRENCY_CODE_PATTERN.test(code)) throw new Error(`Invalid currency code: ${currency}`);
+    if (code === CURRENCY_BASE) throw new Error(`${CURRENCY_BASE} is the base currency`);
+    if (!(value > 0) || !isFinite(value)) throw new Error(`Invalid rate for ${code}: ${rate}`);
+
+    this.rates[code] = { rate: value, source, updatedAt };
+  }
+
+  /**
+   * Import rates from a JSON or CSV file. Returns the number of rates set.
+   * Nothing is changed unless every rate in the file is valid.
+   */
+  importRates(text) {
+    const { base, rates, date } = CurrencyConverter.parseRates(text);
+    const updatedAt = date || Date.now();
+    const staged = new CurrencyConverter({ rates: this.rates });
+
+    // Imported rates may be quoted against another currency; rebase them on USD
+    let basePerDollar = 1;
+    if (base !== CURRENCY_BASE) {
+      basePerDollar = rates[CURRENCY_BASE] ? 1 / rates[CURRENCY_BASE] : staged.rate(base);
+      if (!basePerDollar) throw new Error(`No ${CURRENCY_BASE} rate to rebase ${base} rates on`);
+      staged.setRate(base, basePerDollar, 'import', updatedAt);
+    }
+
+    let count = 0;
+    Object.entries(rates).forEach(([currency, rate]) => {
+      if (currency === CURRENCY_BASE || currency === base) return;
+      staged.setRate(currency, rate * basePerDollar, 'import', updatedAt);
+      count++;
+    });
+
+    this.rates = staged.rates;
+    return count + (base !== CURRENCY_BASE ? 1 : 0);
+  }
+
+  toJSON() {
+    return { base: CURRENCY_BASE, rates: this.rates };
+  }
+
+  /**
+   * Read a rate file:
+   * - JSON in the usual exchange-rate API shape: { base, date, rates: { EUR: 0.92 } }
+   * - CSV lines of "currency,rate" against USD; a "base,EUR" line changes the base.
+   *   Lines split on ';' or a tab when they have one, else on the first comma,
+   *   so "EUR,0,92" and "EUR;0,92" both read as 0.92
+   *
+   * Result: { base, rates: { code: number }, date (timestamp or null) }
+   */
+  static parseRates(text) {
+    const source = String(text || '').trim();
+    if (!source) throw new Error('The rate file is empty');
+
+    let base = CURRENCY_BASE;
+    let date = null;
+    const rates = {};
+
+    if (source.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(source);
+      } catch (error) {
+        throw new Error('The rate file is not valid JSON');
+      }
+      base = String(data.base || data.source || CURRENCY_BASE).toUpperCase();
+      date = data.date ? Date.parse(data.date) || null : (data.timestamp ? data.timestamp * 1000 : null);
+      Object.entries(data.rates || {}).forEach(([currency, rate]) => {
+        rates[currency.toUpperCase()] = Number(rate);
+      });
+    } else {
+      source.split(/\r?\n/).forEach(line => {
+        const separator = /[;\t]/.test(line) ? line.search(/[;\t]/) : line.indexOf(',');
+        if (separator < 0) return;
+        const code = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).split(/[;\t]/)[0].trim();
+        if (!code || !value) return;
+        if (/^base$/i.test(code)) {
+          base = value.toUpperCase();
+        } else if (CURRENCY_CODE_PATTERN.test(code.toUpperCase()) && !isNaN(parseFloat(value))) {
+          rates[code.toUpperCase()] = parseFloat(value.replace(',', '.'));
+        }
+      });
+    }
+
+    if (!CURRENCY_CODE_PATTERN.test(base)) throw new Error(`Invalid base currency: ${base}`);
+    if (Object.keys(rates).length === 0) throw new Error('No rates found in the file');
+    return { base, rates, date };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CurrencyConverter, CURRENCY_BASE, DEFAULT_EXCHANGE_RATES };
+}
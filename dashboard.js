@@ -14,6 +14,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Load active alerts
     loadActiveAlerts();
+    
+    // Load the product catalog
+    loadCatalog();
+    document.getElementById('merge-catalog').addEventListener('click', handleMergeCatalog);
+    
+    // Load extractor diagnostics
+    loadExtractorHealth();
 });
 
 async function loadCurrentProduct() {
@@ -25,7 +32,7 @@ async function loadCurrentProduct() {
             document.getElementById('retailer').textContent = formatRetailerName(product.retailer || 'Unknown');
             document.getElementById('title').textContent = product.title || 'No product detected';
             document.getElementById('price').textContent = product.price ? 
-                `$${product.price.toFixed(2)}` : 'Price not available';
+                formatPrice(product.price, product.currency) : 'Price not available';
         } else {
             document.getElementById('retailer').textContent = 'No product detected';
             document.getElementById('title').textContent = 'Visit a supported retailer to track products';
@@ -51,8 +58,8 @@ async function loadComparisonResults() {
             response.results.forEach((item, index) => {
                 const savings = item.savings || 0;
                 const savingsClass = savings > 0 ? 'savings-positive' : 'savings-negative';
-                const savingsText = savings > 0 ? `Save $${savings.toFixed(2)}` : 
-                                  savings < 0 ? `+$${Math.abs(savings).toFixed(2)}` : 'Same price';
+                const savingsText = savings > 0 ? `Save ${formatPrice(savings, item.currency)}` : 
+                                  savings < 0 ? `+${formatPrice(Math.abs(savings), item.currency)}` : 'Same price';
                 
                 html += `
                     <li class="comparison-result-item" role="listitem">
@@ -61,11 +68,14 @@ async function loadComparisonResults() {
                             <span class="retailer-name">${formatRetailerName(item.retailer)}</span>
                         </div>
                         <div class="result-details">
-                            <span class="result-price">$${item.price.toFixed(2)}</span>
+                            <span class="result-price">${formatPrice(item.price, item.currency)}</span>
+                            ${item.originalCurrency ? 
+                                `<span class="original-price">${formatPrice(item.originalPrice, item.originalCurrency)} at the retailer</span>` : ''}
                             <span class="result-savings ${savingsClass}">${savingsText}</span>
-                            ${item.inStock ? '<span class="in-stock">✓ In Stock</span>' : '<span class="out-stock">Out of Stock</span>'}
+                            ${item.inStock === null || item.inStock === undefined ? '' :
+                                item.inStock ? '<span class="in-stock">✓ In Stock</span>' : '<span class="out-stock">Out of Stock</span>'}
                         </div>
-                        <a href="${item.url}" 
+                        <a href="${escapeHtml(safeUrl(item.url))}" 
                            class="view-deal-button" 
                            target="_blank" 
                            rel="noopener noreferrer"
@@ -103,16 +113,16 @@ async function loadActiveAlerts() {
             alerts.forEach(alert => {
                 const statusClass = alert.triggered ? 'triggered' : 'active';
                 const statusText = alert.triggered ? 
-                    `Triggered at $${alert.triggeredPrice}` : 
-                    `Waiting for $${alert.targetPrice.toFixed(2)}`;
+                    `Triggered at ${formatPrice(alert.triggeredPrice, alert.currency)}` : 
+                    `Waiting for ${formatPrice(alert.targetPrice, alert.currency)}`;
                 
                 html += `
                     <li class="alert-item ${statusClass}" role="listitem" data-id="${alert.id}">
                         <div class="alert-header">
-                            <span class="alert-title">${alert.productTitle}</span>
+                            <span class="alert-title">${escapeHtml(alert.productTitle)}</span>
                             <button class="delete-alert" 
                                     data-id="${alert.id}"
-                                    aria-label="Delete alert for ${alert.productTitle}"
+                                    aria-label="Delete alert for ${escapeHtml(alert.productTitle)}"
                                     title="Delete this alert">
                                 ×
                             </button>
@@ -121,8 +131,8 @@ async function loadActiveAlerts() {
                             <span class="alert-status">${statusText}</span>
                             <span class="alert-retailer">${formatRetailerName(alert.retailer)}</span>
                             ${alert.triggered ? 
-                                `<a href="${alert.dealUrl}" class="alert-link" target="_blank" rel="noopener">View Deal</a>` : 
-                                `<span class="current-price">Current: $${(alert.lastCheckedPrice || alert.currentPrice || 0).toFixed(2)}</span>`
+                                `<a href="${escapeHtml(safeUrl(alert.dealUrl))}" class="alert-link" target="_blank" rel="noopener">View Deal</a>` : 
+                                `<span class="current-price">Current: ${formatPrice(alert.lastCheckedPrice || alert.currentPrice || 0, alert.currency)}</span>`
                             }
                         </div>
                     </li>
@@ -149,6 +159,238 @@ async function loadActiveAlerts() {
     }
 }
 
+async function loadCatalog() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'getCatalog'
+        });
+        
+        const catalogList = document.getElementById('catalog-list');
+        // Storage changes re-render the list while the user is picking entries to merge
+        const selected = new Set(getSelectedCatalogIds());
+        
+        if (response && response.success && response.entries.length > 0) {
+            let html = '';
+            response.entries.forEach(entry => {
+                const identity = [
+                    entry.brand,
+                    entry.model ? `Model ${entry.model}` : null,
+                    entry.upc ? `UPC ${entry.upc}` : null,
+                    entry.voltage ? `${entry.voltage}V` : null,
+                    entry.kitType === 'bare' ? 'Tool only' : entry.kitType === 'kit' ? 'Kit' : null
+                ].filter(Boolean).map(escapeHtml).join(' · ');
+                
+                const listingRows = entry.listings.map(listing => `
+                    <div class="catalog-listing">
+                        <span class="retailer-icon">${getRetailerIcon(listing.retailer)}</span>
+                        <a href="${escapeHtml(safeUrl(listing.url))}" class="catalog-listing-title" target="_blank" rel="noopener noreferrer"
+                           title="${escapeHtml(formatRetailerName(listing.retailer))} ${escapeHtml(listing.listingId)}">${escapeHtml(listing.title)}</a>
+                        <span class="catalog-listing-price">
+                            ${formatPrice(listing.lastPrice, listing.currency)}
+                            ${listing.lowestPrice !== null ? `<small>low ${formatPrice(listing.lowestPrice, listing.currency)}</small>` : ''}
+                        </span>
+                        ${entry.listings.length > 1 ? 
+                            `<button class="split-listing" data-entry="${entry.id}" data-key="${escapeHtml(listing.key)}" title="Move this listing to its own entry">Split</button>` : ''}
+                    </div>
+                `).join('');
+                
+                html += `
+                    <li class="catalog-item" role="listitem" data-id="${entry.id}">
+                        <div class="catalog-header">
+                            <input type="checkbox" class="catalog-select" value="${entry.id}" ${selected.has(entry.id) ? 'checked' : ''} aria-label="Select ${escapeHtml(entry.title)}">
+                            <span class="catalog-title">${escapeHtml(entry.title)}</span>
+                            ${entry.alerts > 0 ? `<span class="catalog-badge">🔔 ${entry.alerts}</span>` : ''}
+                        </div>
+                        ${identity ? `<div class="catalog-identity">${identity}</div>` : ''}
+                        <div class="catalog-listings">${listingRows}</div>
+                    </li>
+                `;
+            });
+            catalogList.innerHTML = html;
+            
+            document.querySelectorAll('.catalog-select').forEach(checkbox => {
+                checkbox.addEventListener('change', updateMergeButton);
+            });
+            document.querySelectorAll('.split-listing').forEach(button => {
+                button.addEventListener('click', handleSplitListing);
+            });
+        } else {
+            catalogList.innerHTML = `
+                <li class="no-data" role="listitem">
+                    <p>No tracked products yet.</p>
+                    <p>Products are added as you visit them on supported retailers.</p>
+                </li>
+            `;
+        }
+        updateMergeButton();
+    } catch (error) {
+        console.error('[ToolScout Dashboard] Error loading catalog:', error);
+        document.getElementById('catalog-list').innerHTML = 
+            '<li class="error" role="listitem">Failed to load tracked products</li>';
+    }
+}
+
+function getSelectedCatalogIds() {
+    return Array.from(document.querySelectorAll('.catalog-select:checked')).map(checkbox => checkbox.value);
+}
+
+function updateMergeButton() {
+    document.getElementById('merge-catalog').disabled = getSelectedCatalogIds().length < 2;
+}
+
+/**
+ * Merge every selected entry into the topmost (most recently seen) one
+ */
+async function handleMergeCatalog() {
+    const [targetId, ...sourceIds] = getSelectedCatalogIds();
+    if (!targetId || sourceIds.length === 0) return;
+    
+    if (!confirm(`Merge ${sourceIds.length + 1} entries into one product?`)) return;
+    
+    try {
+        for (const sourceId of sourceIds) {
+            const response = await chrome.runtime.sendMessage({
+                action: 'mergeCatalogEntries',
+                targetId,
+                sourceId
+            });
+            if (!response.success) {
+                throw new Error(response.error || 'Merge failed');
+            }
+        }
+        loadCatalog();
+        showNotification('Entries merged');
+    } catch (error) {
+        console.error('[ToolScout Dashboard] Error merging catalog entries:', error);
+        showError('Failed to merge entries');
+        loadCatalog();
+    }
+}
+
+async function handleSplitListing(event) {
+    const { entry, key } = event.target.dataset;
+    
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'splitCatalogListing',
+            entryId: entry,
+            listingKey: key
+        });
+        
+        if (!response.success) {
+            throw new Error(response.error || 'Split failed');
+        }
+        loadCatalog();
+        showNotification('Listing moved to its own entry');
+    } catch (error) {
+        console.error('[ToolScout Dashboard] Error splitting catalog listing:', error);
+        showError('Failed to split listing');
+    }
+}
+
+async function loadExtractorHealth() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'getExtractorHealth'
+        });
+        
+        const diagnosticsList = document.getElementById('diagnostics-list');
+        
+        if (response && response.success && response.retailers.length > 0) {
+            let html = '';
+            response.retailers.forEach(stats => {
+                const fieldRows = Object.entries(stats.fields).map(([field, fieldStats]) => {
+                    const topSelector = Object.entries(fieldStats.selectorIndexes)
+                        .sort((a, b) => b[1] - a[1])[0];
+                    const topSource = Object.entries(fieldStats.sources)
+                        .sort((a, b) => b[1] - a[1])[0];
+                    
+                    return `
+                        <div class="health-field">
+                            <span class="health-field-name">${field}</span>
+                            <span class="health-rate">${formatRate(fieldStats.hitRate)}</span>
+                            <span class="health-field-meta">
+                                ${topSource ? `via ${topSource[0]}` : 'never found'}
+                                ${topSelector ? ` · selector #${Number(topSelector[0]) + 1}` : ''}
+                            </span>
+                        </div>
+                    `;
+                }).join('');
+                
+                html += `
+                    <li class="health-item ${stats.warning ? 'health-warning' : ''}" role="listitem">
+                        <div class="health-header">
+                            <span class="retailer-icon">${getRetailerIcon(stats.retailer)}</span>
+                            <span class="retailer-name">${formatRetailerName(stats.retailer)}</span>
+                            ${stats.warning ? 
+                                `<span class="health-badge" title="Success rate below ${formatRate(response.threshold)} over the last ${stats.recentVisits} visits">⚠️ Degraded</span>` : 
+                                '<span class="health-badge ok">✓ Healthy</span>'}
+                        </div>
+                        <div class="health-summary">
+                            <span>Last ${stats.recentVisits} visits: <strong>${formatRate(stats.recentSuccessRate)}</strong></span>
+                            <span>All time: ${formatRate(stats.successRate)} of ${stats.totalVisits}</span>
+                            <span>Last success: ${stats.lastSuccess ? new Date(stats.lastSuccess).toLocaleString() : 'never'}</span>
+                            <span>Pack v${stats.packVersion || '?'}</span>
+                        </div>
+                        <div class="health-fields">${fieldRows}</div>
+                    </li>
+                `;
+            });
+            diagnosticsList.innerHTML = html;
+        } else {
+            diagnosticsList.innerHTML = `
+                <li class="no-data" role="listitem">
+                    <p>No extraction data yet.</p>
+                    <p>Stats appear after visiting product pages on supported retailers.</p>
+                </li>
+            `;
+        }
+    } catch (error) {
+        console.error('[ToolScout Dashboard] Error loading extractor health:', error);
+        document.getElementById('diagnostics-list').innerHTML = 
+            '<li class="error" role="listitem">Failed to load diagnostics</li>';
+    }
+}
+
+function formatPrice(amount, currency = 'USD') {
+    if (amount === null || amount === undefined) return '--';
+    try {
+        return new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: currency || 'USD'
+        }).format(amount);
+    } catch (error) {
+        return `${currency} ${Number(amount).toFixed(2)}`;
+    }
+}
+
+function formatRate(rate) {
+    return rate === null || rate === undefined ? '--' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Text from retailer pages and APIs, safe to put in markup
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * The URL if it is an http(s) link, otherwise an empty string
+ */
+function safeUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? url : '';
+    } catch (error) {
+        return '';
+    }
+}
+
 async function handleDeleteAlert(event) {
     event.stopPropagation();
     const alertId = event.target.dataset.id;
@@ -177,8 +419,13 @@ function formatRetailerName(retailer) {
         'amazon': 'Amazon',
         'homedepot': 'Home Depot',
         'leroymerlin': 'Leroy Merlin',
+        'castorama': 'Castorama',
+        'bricodepot': 'Brico Dépôt',
+        'manomano': 'ManoMano',
         'ebay': 'eBay',
-        'lowes': 'Lowe\'s'
+        'lowes': 'Lowe\'s',
+        'screwfix': 'Screwfix',
+        'toolstation': 'Toolstation'
     };
     return names[retailer] || retailer;
 }
@@ -188,8 +435,13 @@ function getRetailerIcon(retailer) {
         'amazon': '🛒',
         'homedepot': '🏠',
         'leroymerlin': '🔨',
+        'castorama': '🪚',
+        'bricodepot': '🧱',
+        'manomano': '🪛',
         'ebay': '🏷️',
-        'lowes': '🔧'
+        'lowes': '🔧',
+        'screwfix': '🔩',
+        'toolstation': '🧰'
     };
     return icons[retailer] || '🛍️';
 }
@@ -228,6 +480,7 @@ setInterval(() => {
     loadCurrentProduct();
     loadComparisonResults();
     loadActiveAlerts();
+    loadExtractorHealth();
 }, 30000);
 
 // Add CSS animations
@@ -309,6 +562,11 @@ style.textContent = `
         margin-top: 4px;
     }
     
+    .original-price {
+        font-size: 11px;
+        color: #6b7280;
+    }
+    
     .savings-positive {
         background: #e6ffed;
         color: #0d7523;
@@ -430,6 +688,173 @@ style.textContent = `
         font-style: italic;
     }
     
+    .catalog-toolbar {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 12px;
+        margin-bottom: 8px;
+        font-size: 12px;
+        color: #6b7280;
+    }
+    
+    .merge-catalog-button,
+    .split-listing {
+        padding: 6px 12px;
+        background: white;
+        color: #4A90E2;
+        border: 1px solid #4A90E2;
+        border-radius: 6px;
+        font-size: 12px;
+        font-weight: 600;
+        cursor: pointer;
+        white-space: nowrap;
+    }
+    
+    .split-listing {
+        padding: 2px 8px;
+        font-size: 11px;
+    }
+    
+    .merge-catalog-button:disabled {
+        opacity: 0.5;
+        cursor: default;
+    }
+    
+    .catalog-item {
+        padding: 12px;
+        margin-bottom: 8px;
+        background: white;
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+    }
+    
+    .catalog-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+    }
+    
+    .catalog-title {
+        font-weight: 600;
+        color: #1a202c;
+        flex: 1;
+    }
+    
+    .catalog-badge {
+        font-size: 11px;
+        font-weight: 600;
+        padding: 2px 8px;
+        border-radius: 10px;
+        background: #eef2ff;
+        color: #4338ca;
+    }
+    
+    .catalog-identity {
+        font-size: 12px;
+        color: #6b7280;
+        margin: 4px 0 8px 24px;
+    }
+    
+    .catalog-listing {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 12px;
+        padding: 4px 0 4px 24px;
+        border-top: 1px solid #f1f5f9;
+    }
+    
+    .catalog-listing-title {
+        flex: 1;
+        color: #1a202c;
+        text-decoration: none;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    
+    .catalog-listing-title:hover {
+        text-decoration: underline;
+    }
+    
+    .catalog-listing-price {
+        font-weight: 600;
+        white-space: nowrap;
+    }
+    
+    .catalog-listing-price small {
+        font-weight: 400;
+        color: #6b7280;
+        margin-left: 4px;
+    }
+    
+    .health-item {
+        padding: 12px;
+        margin-bottom: 8px;
+        background: white;
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+    }
+    
+    .health-item.health-warning {
+        border-left: 4px solid #f59e0b;
+        background: #fffbeb;
+    }
+    
+    .health-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 6px;
+    }
+    
+    .health-badge {
+        margin-left: auto;
+        font-size: 11px;
+        font-weight: 600;
+        padding: 2px 8px;
+        border-radius: 10px;
+        background: #fef3c7;
+        color: #92400e;
+    }
+    
+    .health-badge.ok {
+        background: #e6ffed;
+        color: #0d7523;
+    }
+    
+    .health-summary {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 12px;
+        font-size: 12px;
+        color: #6b7280;
+        margin-bottom: 8px;
+    }
+    
+    .health-field {
+        display: flex;
+        gap: 8px;
+        font-size: 12px;
+        padding: 2px 0;
+    }
+    
+    .health-field-name {
+        width: 80px;
+        font-weight: 600;
+        color: #1a202c;
+    }
+    
+    .health-rate {
+        width: 40px;
+        text-align: right;
+    }
+    
+    .health-field-meta {
+        color: #6b7280;
+    }
+    
     .error {
         text-align: center;
         padding: 16px;
@@ -449,6 +874,12 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
         if (changes.priceAlerts) {
             loadActiveAlerts();
         }
+        if (changes.productCatalog) {
+            loadCatalog();
+        }
+        if (changes.extractorHealth) {
+            loadExtractorHealth();
+        }
     }
 });
 
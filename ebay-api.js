@@ -0,0 +1,392 @@
+/**
+ * ToolScout eBay API
+ * Searches eBay through the Browse API with an application token from the
+ * OAuth client-credentials grant. The token is cached until shortly before it
+ * expires, then requested again. A client secret cannot ship inside an
+ * extension, so the keyset is the shopper's own, loaded from storage. The API
+ * host and fetch can be swapped to run against a mock token and search server.
+ */
+
+const EBAY_API_URL = 'https://api.ebay.com';
+const EBAY_OAUTH_SCOPE = 'https://api.ebay.com/oauth/api_scope';
+const EBAY_TOKEN_MARGIN = 60000;        // Refresh a minute before the token expires
+const EBAY_CACHE_DURATION = 3600000;    // Search results kept for an hour
+
+// eBay sites by country: the marketplace header, the currency it lists in and
+// the language results come back in
+const EBAY_MARKETPLACES = {
+  US: { id: 'EBAY_US', currency: 'USD', language: 'en-US' },
+  GB: { id: 'EBAY_GB', currency: 'GBP', language: 'en-GB' },
+  DE: { id: 'EBAY_DE', currency: 'EUR', language: 'de-DE' },
+  FR: { id: 'EBAY_FR', currency: 'EUR', language: 'fr-FR' },
+  CA: { id: 'EBAY_CA', currency: 'CAD', language: 'en-CA' }
+};
+
+// eBay category IDs for tools
+const EBAY_TOOL_CATEGORIES = {
+  all: '631',           // Business & Industrial > Light Equipment & Tools
+  powerTools: '3244',   // Power Tools
+  handTools: '29525',   // Hand Tools
+  gardenTools: '29518', // Yard, Garden & Outdoor Living
+  automotive: '6000'    // Automotive Tools
+};
+
+// Sort orders callers ask for, as Browse API sorts (best match has none)
+const EBAY_SORT_ORDERS = {
+  PricePlusShippingLowest: 'price',
+  PricePlusShippingHighest: '-price',
+  EndTimeSoonest: 'endingSoonest',
+  StartTimeNewest: 'newlyListed',
+  BestMatch: null
+};
+
+// Conditions callers ask for, as Browse API filters
+const EBAY_CONDITION_FILTERS = {
+  new: 'conditions:{NEW}',
+  used: 'conditions:{USED}',
+  refurbished: 'conditionIds:{2000|2010|2020|2030|2500}'
+};
+
+class EbayAPI {
+  /**
+   * options: { clientId, clientSecret, loadCredentials, marketplace ('US'), apiUrl, fetch, cacheDuration }
+   * loadCredentials: async () => ({ clientId, clientSecret }), run before the first search
+   */
+  constructor(options = {}) {
+    this.clientId = options.clientId || null;
+    this.clientSecret = options.clientSecret || null;
+    this.loadCredentials = options.loadCredentials || null;
+    this.credentialsLoaded = null;
+    this.marketplace = options.marketplace || 'US';
+    this.apiUrl = (options.apiUrl || EBAY_API_URL).replace(/\/$/, '');
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.cacheDuration = options.cacheDuration || EBAY_CACHE_DURATION;
+    this.cache = new Map();
+    this.token = null;
+    this.tokenRequest = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  /**
+   * Resolves once the stored credentials have been loaded
+   */
+  async ready() {
+    if (this.loadCredentials && !this.credentialsLoaded) {
+      this.credentialsLoaded = Promise.resolve(this.loadCredentials())
+        .then(credentials => this.setCredentials(credentials))
+        .catch(error => {
+          console.error('[ToolScout] Error loading eBay credentials:', error);
+          this.credentialsLoaded = null;
+        });
+    }
+    await this.credentialsLoaded;
+  }
+
+  /**
+   * Use another keyset; tokens and results from the previous one are dropped
+   */
+  setCredentials(credentials = {}) {
+    this.clientId = credentials?.clientId?.trim() || null;
+    this.clientSecret = credentials?.clientSecret?.trim() || null;
+    this.token = null;
+    this.cache.clear();
+  }
+
+  /**
+   * Search for tools on eBay. Falls back to mock results on failure unless
+   * `options.strict` is set, in which case it throws.
+   *
+   * options: { limit, category, condition ('New', 'Used', 'Refurbished' or a
+   *            condition ID), minPrice, maxPrice, sortBy, postcode, marketplace,
+   *            strict, signal }
+   * signal aborts the search request, e.g. when a comparison gives up on eBay.
+   */
+  async searchTools(keyword, options = {}) {
+    await this.ready();
+    const { signal, ...searchOptions } = options;
+    const country = EbayAPI.marketplaceCountry(options.marketplace || this.marketplace);
+    const marketplace = EBAY_MARKETPLACES[country];
+    const cacheKey = `${keyword}_${country}_${JSON.stringify(searchOptions)}`;
+
+    // Check cache first
+    if (this.cache.has(cacheKey)) {
+      const cached = this.cache.get(cacheKey);
+      if (Date.now() - cached.timestamp < this.cacheDuration) {
+        console.log('[ToolScout] Returning cached eBay results');
+        return cached.data;
+      }
+    }
+
+    try {
+      // Check the OAuth credentials are configured
+      if (!this.isConfigured()) {
+        console.warn('[ToolScout] eBay API credentials not configured');
+        if (options.strict) throw new Error('eBay API credentials not configured');
+        return this.getMockResults(keyword, marketplace.currency);
+      }
+
+      const params = new URLSearchParams({
+        q: keyword,
+        category_ids: options.category || EBAY_TOOL_CATEGORIES.all,
+        limit: String(options.limit || 10)
+      });
+
+      const sort = EBAY_SORT_ORDERS[options.sortBy || 'PricePlusShippingLowest'];
+      if (sort) params.set('sort', sort);
+
+      const filters = [];
+      const condition = EbayAPI.conditionFilter(options.condition);
+      if (condition) filters.push(condition);
+      if (options.minPrice || options.maxPrice) {
+        filters.push(`price:[${options.minPrice || ''}..${options.maxPrice || ''}]`);
+        filters.push(`priceCurrency:${marketplace.currency}`);
+      }
+      if (filters.length > 0) params.set('filter', filters.join(','));
+
+      const data = await this.request(`/buy/browse/v1/item_summary/search?${params.toString()}`, {
+        'X-EBAY-C-MARKETPLACE-ID': marketplace.id,
+        'Accept-Language': marketplace.language,
+        // Shipping costs are quoted for the shopper's postcode when one is set
+        ...(options.postcode ? {
+          'X-EBAY-C-ENDUSERCTX': `contextualLocation=${encodeURIComponent(`country=${country},zip=${options.postcode}`)}`
+        } : {})
+      }, { signal });
+      const items = this.parseEbayResults(data);
+
+      // Cache the results
+      this.cache.set(cacheKey, {
+        data: items,
+        timestamp: Date.now()
+      });
+
+      return items;
+    } catch (error) {
+      console.error('[ToolScout] eBay API error:', error);
+      if (options.strict) throw error;
+      return this.getMockResults(keyword, marketplace.currency);
+    }
+  }
+
+  /**
+   * GET an API path with the application token. A token revoked before its
+   * expiry is dropped and the request tried once more with a fresh one.
+   */
+  async request(path, headers = {}, { signal = null, retry = true } = {}) {
+    const token = await this.getToken();
+    const response = await this.fetch(`${this.apiUrl}${path}`, {
+      headers: { ...headers, Authorization: `Bearer ${token}` },
+      signal
+    });
+
+    if (response.status === 401 && retry) {
+      this.token = null;
+      return this.request(path, headers, { signal, retry: false });
+    }
+    if (!response.ok) {
+      throw new Error(`eBay API error: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * The cached application token, or a new one when it is about to expire.
+   * Searches started together share one token request.
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.token.expiresAt - EBAY_TOKEN_MARGIN) {
+      return this.token.value;
+    }
+
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.requestToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+    return this.tokenRequest;
+  }
+
+  async requestToken() {
+    const response = await this.fetch(`${this.apiUrl}/identity/v1/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${btoa(`${this.clientId}:${this.clientSecret}`)}`
+      },
+      body: new URLSearchParams({ grant_type: 'client_credentials', scope: EBAY_OAUTH_SCOPE }).toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`eBay OAuth error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.access_token) {
+      throw new Error('eBay OAuth response has no access token');
+    }
+
+    this.token = {
+      value: data.access_token,
+      expiresAt: Date.now() + (data.expires_in || 7200) * 1000
+    };
+    return this.token.value;
+  }
+
+  /**
+   * Parse a Browse API search response into the normalized result shape
+   */
+  parseEbayResults(data) {
+    try {
+      const items = data?.itemSummaries || [];
+      if (items.length === 0) {
+        console.warn('[ToolScout] eBay API returned no results');
+        return [];
+      }
+
+      return items.map(item => {
+        // Auctions without Buy It Now only have a current bid
+        const price = item.price || item.currentBidPrice || {};
+        const currency = price.currency || 'USD';
+        const buyingOptions = item.buyingOptions || [];
+        const location = item.itemLocation || {};
+
+        return {
+          retailer: 'ebay',
+          title: item.title || 'Unknown Item',
+          price: parseFloat(price.value || 0),
+          currency,
+          shipping: EbayAPI.shipping(item.shippingOptions?.[0], currency),
+          condition: item.condition || 'Unknown',
+          url: item.itemWebUrl || '',
+          image: item.image?.imageUrl || item.thumbnailImages?.[0]?.imageUrl || '',
+          // Where the item ships from, for import tax in landed cost
+          country: location.country || null,
+          endTime: item.itemEndDate || '',
+          type: EbayAPI.listingType(buyingOptions),
+          bidCount: typeof item.bidCount === 'number' ? item.bidCount : null,
+          bestOffer: buyingOptions.includes('BEST_OFFER'),
+          location: [location.city, location.stateOrProvince, location.postalCode, location.country]
+            .filter(Boolean).join(', ') || 'Unknown',
+          // Search only returns live listings
+          inStock: true,
+          seller: {
+            username: item.seller?.username || 'Unknown',
+            feedback: parseInt(item.seller?.feedbackScore || 0, 10),
+            rating: item.seller?.feedbackPercentage ? parseFloat(item.seller.feedbackPercentage) : null
+          }
+        };
+      });
+    } catch (error) {
+      console.error('[ToolScout] Error parsing eBay results:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get mock results for development/testing
+   */
+  getMockResults(keyword, currency = 'USD') {
+    console.log('[ToolScout] Returning mock eBay results for:', keyword);
+    return [
+      {
+        retailer: 'ebay',
+        title: `${keyword} - Power Tool Set`,
+        price: 149.99,
+        currency,
+        shipping: EbayAPI.shipping({ shippingCost: { value: '0.00' } }, currency),
+        condition: 'New',
+        url: 'https://ebay.com/example',
+        inStock: true,
+        seller: { username: 'toolseller', feedback: 1000, rating: 99.5 }
+      },
+      {
+        retailer: 'ebay',
+        title: `${keyword} - Professional Grade`,
+        price: 189.99,
+        currency,
+        shipping: EbayAPI.shipping({ shippingCost: { value: '5.99' } }, currency),
+        condition: 'Refurbished',
+        url: 'https://ebay.com/example2',
+        inStock: true,
+        seller: { username: 'protools', feedback: 2500, rating: 98.7 }
+      }
+    ];
+  }
+
+  /**
+   * A Browse API shipping option in the shipping shape other retailers use.
+   * 'CALCULATED' shipping is only quoted at checkout, so its cost stays unknown.
+   */
+  static shipping(option, currency = 'USD') {
+    const value = option?.shippingCost?.value;
+    const cost = value !== undefined && !isNaN(parseFloat(value)) ? parseFloat(value) : null;
+
+    return {
+      cost,
+      free: cost === 0,
+      freeThreshold: null,
+      currency: option?.shippingCost?.currency || currency,
+      deliveryDate: option?.maxEstimatedDeliveryDate?.slice(0, 10) || null,
+      deliveryText: null,
+      pickup: null,
+      location: null,
+      postcode: null,
+      postcodeMatches: null
+    };
+  }
+
+  /**
+   * Listing type in the names the popup labels (Finding API style)
+   */
+  static listingType(buyingOptions) {
+    const auction = buyingOptions.includes('AUCTION');
+    const fixedPrice = buyingOptions.includes('FIXED_PRICE');
+    if (auction && fixedPrice) return 'AuctionWithBIN';
+    if (auction) return 'Auction';
+    if (fixedPrice) return 'FixedPrice';
+    return 'Unknown';
+  }
+
+  static conditionFilter(condition) {
+    if (!condition) return null;
+    if (/^\d+$/.test(String(condition))) return `conditionIds:{${condition}}`;
+    return EBAY_CONDITION_FILTERS[String(condition).toLowerCase()] || null;
+  }
+
+  /**
+   * Country code of a supported eBay site; 'UK' is accepted for GB and
+   * anything else falls back to the US site
+   */
+  static marketplaceCountry(country) {
+    const code = String(country || '').toUpperCase();
+    if (code === 'UK') return 'GB';
+    return EBAY_MARKETPLACES[code] ? code : 'US';
+  }
+
+  /**
+   * The eBay site for a shopper: their country when eBay has a site there,
+   * else the first site listing in their currency (Germany for euros)
+   */
+  static marketplaceFor(country, currency) {
+    const code = String(country || '').toUpperCase();
+    if (EBAY_MARKETPLACES[code] || code === 'UK') return EbayAPI.marketplaceCountry(code);
+    return Object.keys(EBAY_MARKETPLACES).find(key => EBAY_MARKETPLACES[key].currency === currency) || 'US';
+  }
+
+  /**
+   * The eBay site listing in a currency, preferring the shopper's country
+   * among the euro sites. Null when no site lists in it.
+   */
+  static marketplaceForCurrency(currency, country) {
+    const code = EbayAPI.marketplaceCountry(country);
+    if (EBAY_MARKETPLACES[code].currency === currency) return code;
+    return Object.keys(EBAY_MARKETPLACES).find(key => EBAY_MARKETPLACES[key].currency === currency) || null;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EbayAPI, EBAY_MARKETPLACES, EBAY_TOOL_CATEGORIES };
+}
@@ -0,0 +1,174 @@
+/**
+ * ToolScout Landed Cost
+ * The out-the-door price of a listing: item price, shipping, known fees (such
+ * as an éco-participation shown separately) and tax. US listings are priced
+ * before sales tax, which depends on the buyer's state; UK and EU listings
+ * already include VAT, which is only added when importing from outside.
+ * Rates are estimates - local taxes and duties vary.
+ */
+
+// Average combined state and local sales tax rates
+const US_SALES_TAX_RATES = {
+  AL: 0.0929, AK: 0.0182, AZ: 0.0838, AR: 0.0945, CA: 0.0885, CO: 0.0781, CT: 0.0635,
+  DE: 0, DC: 0.06, FL: 0.07, GA: 0.0738, HI: 0.045, ID: 0.0603, IL: 0.0889, IN: 0.07,
+  IA: 0.0694, KS: 0.0865, KY: 0.06, LA: 0.0956, ME: 0.055, MD: 0.06, MA: 0.0625,
+  MI: 0.06, MN: 0.0804, MS: 0.0706, MO: 0.0839, MT: 0, NE: 0.0697, NV: 0.0824, NH: 0,
+  NJ: 0.066, NM: 0.0762, NY: 0.0853, NC: 0.07, ND: 0.0696, OH: 0.0724, OK: 0.0899,
+  OR: 0, PA: 0.0634, RI: 0.07, SC: 0.075, SD: 0.0611, TN: 0.0955, TX: 0.082, UT: 0.0725,
+  VT: 0.0636, VA: 0.0577, WA: 0.0938, WV: 0.0655, WI: 0.0543, WY: 0.0544
+};
+
+// Standard VAT rates; listing prices in these countries include VAT
+const VAT_RATES = {
+  GB: 0.2, FR: 0.2, DE: 0.19, ES: 0.21, IT: 0.22, NL: 0.21, BE: 0.21, IE: 0.23,
+  AT: 0.2, PT: 0.23, PL: 0.23
+};
+
+// First three ZIP digits to state: [first prefix, last prefix, state]
+const ZIP_PREFIX_STATES = [
+  [5, 5, 'NY'], [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+  [50, 54, 'VT'], [55, 55, 'MA'], [56, 59, 'VT'], [60, 69, 'CT'], [70, 89, 'NJ'],
+  [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'], [200, 205, 'DC'], [206, 219, 'MD'],
+  [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'], [290, 299, 'SC'], [300, 319, 'GA'],
+  [320, 349, 'FL'], [350, 369, 'AL'], [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'],
+  [400, 427, 'KY'], [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'],
+  [530, 549, 'WI'], [550, 567, 'MN'], [569, 569, 'DC'], [570, 577, 'SD'], [580, 588, 'ND'],
+  [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'], [680, 693, 'NE'],
+  [700, 714, 'LA'], [716, 729, 'AR'], [730, 732, 'OK'], [733, 733, 'TX'], [734, 749, 'OK'],
+  [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'],
+  [850, 865, 'AZ'], [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'],
+  [967, 968, 'HI'], [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+// Retailer domains to the country the listing is sold from. Plain .com is
+// only taken as US after the currency has had its say.
+const SELLER_COUNTRY_DOMAINS = [
+  [/(?:^|\.)(?:screwfix|toolstation)\.com$/, 'GB'],
+  [/\.co\.uk$|\.uk$/, 'GB'], [/\.fr$/, 'FR'], [/\.de$/, 'DE'], [/\.es$/, 'ES'], [/\.it$/, 'IT'],
+  [/\.nl$/, 'NL'], [/\.be$/, 'BE'], [/\.ie$/, 'IE'], [/\.at$/, 'AT'], [/\.ca$/, 'CA'],
+  [/\.com\.au$/, 'AU']
+];
+
+const SELLER_COUNTRY_CURRENCIES = { USD: 'US', GBP: 'GB', CAD: 'CA', AUD: 'AU' };
+
+class LandedCost {
+  /**
+   * Break a listing's price down into what the buyer pays.
+   *
+   * item:   { price, ecoFee, ecoFeeIncluded, shipping, currency, url, country }
+   * region: LandedCost.region(settings)
+   *
+   * Result: { itemPrice, shipping, fees, tax, taxRate, taxLabel, taxIncluded,
+   *           subtotal, total, shippingKnown, taxKnown }
+   * tax is null when it cannot be estimated; total then excludes it.
+   */
+  static calculate(item, region) {
+    const itemPrice = item.price || 0;
+    const fees = item.ecoFee && !item.ecoFeeIncluded ? item.ecoFee : 0;
+    const shipping = LandedCost.shippingCost(item.shipping, itemPrice + fees);
+    const subtotal = LandedCost.round(itemPrice + fees + (shipping ?? 0));
+    const tax = LandedCost.tax(subtotal, LandedCost.sellerCountry(item), region);
+
+    return {
+      itemPrice,
+      shipping,
+      fees,
+      tax: tax.amount,
+      taxRate: tax.rate,
+      taxLabel: tax.label,
+      taxIncluded: tax.included,
+      subtotal,
+      total: LandedCost.round(subtotal + (tax.amount ?? 0)),
+      shippingKnown: shipping !== null,
+      taxKnown: tax.amount !== null
+    };
+  }
+
+  /**
+   * Where tax is owed, from the tax settings: { country, state, rate }.
+   * A US state can come from the delivery ZIP; a rate entered by hand wins.
+   */
+  static region(settings = {}) {
+    const tax = settings.tax || {};
+    const country = tax.country || null;
+    const state = country === 'US' ?
+      (tax.state || LandedCost.stateFromZip(settings.shipping?.postcode)) : null;
+    const custom = tax.rate !== null && tax.rate !== undefined && tax.rate !== '' ? Number(tax.rate) / 100 : null;
+
+    let rate = null;
+    if (country === 'US' && state) rate = US_SALES_TAX_RATES[state] ?? null;
+    if (VAT_RATES[country] !== undefined) rate = VAT_RATES[country];
+    if (custom !== null && isFinite(custom)) rate = custom;
+
+    return { country, state, rate };
+  }
+
+  static tax(subtotal, sellerCountry, region) {
+    const { country, state, rate } = region || {};
+    if (!country || rate === null || rate === undefined) {
+      return { amount: null, rate: null, label: 'Tax not estimated', included: false };
+    }
+
+    const percent = `${Math.round(rate * 10000) / 100}%`;
+
+    if (country === 'US') {
+      if (sellerCountry && sellerCountry !== 'US') {
+        return { amount: null, rate: null, label: 'Import duties not included', included: false };
+      }
+      return { amount: LandedCost.round(subtotal * rate), rate, label: `${state || 'Sales'} tax ${percent}`, included: false };
+    }
+
+    // UK and EU prices include VAT; only goods from outside pay it on import
+    if (!sellerCountry || VAT_RATES[sellerCountry] !== undefined) {
+      return { amount: 0, rate, label: `VAT ${percent} included`, included: true };
+    }
+    return { amount: LandedCost.round(subtotal * rate), rate, label: `Import VAT ${percent}`, included: false };
+  }
+
+  /**
+   * Shipping for an order of `price`, or null when only quoted at checkout
+   */
+  static shippingCost(shipping, price) {
+    if (!shipping) return null;
+    if (shipping.freeThreshold !== null && shipping.freeThreshold !== undefined && price >= shipping.freeThreshold) {
+      return 0;
+    }
+    return shipping.cost ?? null;
+  }
+
+  /**
+   * Country the listing ships from: eBay reports it, otherwise the retailer's
+   * domain or currency
+   */
+  static sellerCountry(item) {
+    if (item.country) return String(item.country).toUpperCase();
+
+    let host = '';
+    try {
+      host = new URL(item.url).hostname;
+    } catch (error) {
+      // No usable URL; the currency decides
+    }
+
+    const match = SELLER_COUNTRY_DOMAINS.find(([pattern]) => pattern.test(host));
+    if (match) return match[1];
+    if (SELLER_COUNTRY_CURRENCIES[item.currency]) return SELLER_COUNTRY_CURRENCIES[item.currency];
+    return /\.com$/.test(host) ? 'US' : null;
+  }
+
+  static stateFromZip(zip) {
+    const digits = String(zip || '').trim().match(/^(\d{5})(?:-\d{4})?$/)?.[1];
+    if (!digits) return null;
+    const prefix = parseInt(digits.slice(0, 3), 10);
+    return ZIP_PREFIX_STATES.find(([first, last]) => prefix >= first && prefix <= last)?.[2] || null;
+  }
+
+  static round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LandedCost, US_SALES_TAX_RATES, VAT_RATES };
+}
@@ -0,0 +1,486 @@
+/**
+ * ToolScout Page Panel
+ * The expandable in-page panel shown on product pages: price, cross-retailer
+ * comparison, price-history sparkline and an inline alert form. Rendered in a
+ * closed shadow root so retailer stylesheets cannot reach it.
+ */
+
+const PANEL_STATE_STORAGE_KEY = 'panelState';
+const PANEL_HOST_ID = 'toolscout-panel';
+const PANEL_COMPARISON_LIMIT = 5;
+const PANEL_DEFAULT_POSITION = { right: 20, bottom: 20 };
+
+const PANEL_RETAILER_NAMES = {
+  amazon: 'Amazon',
+  homedepot: 'Home Depot',
+  lowes: 'Lowe\'s',
+  screwfix: 'Screwfix',
+  toolstation: 'Toolstation',
+  leroymerlin: 'Leroy Merlin',
+  castorama: 'Castorama',
+  bricodepot: 'Brico Dépôt',
+  manomano: 'ManoMano',
+  ebay: 'eBay'
+};
+
+const PANEL_STYLES = `
+  :host { all: initial; }
+  .panel {
+    width: 300px;
+    background: #fff;
+    color: #2d3748;
+    border-radius: 14px;
+    box-shadow: 0 8px 30px rgba(0,0,0,0.25);
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    font-size: 13px;
+    line-height: 1.4;
+    overflow: hidden;
+  }
+  .panel.collapsed { width: auto; border-radius: 25px; }
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 14px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: #fff;
+    font-weight: 600;
+    cursor: move;
+    user-select: none;
+  }
+  .header .title { flex: 1; white-space: nowrap; }
+  .header .seller-flag { background: #f5576c; border-radius: 10px; padding: 0 8px; font-size: 11px; }
+  .header button {
+    background: rgba(255,255,255,0.2);
+    border: none;
+    color: #fff;
+    width: 22px;
+    height: 22px;
+    border-radius: 50%;
+    cursor: pointer;
+    font-size: 12px;
+    line-height: 22px;
+    padding: 0;
+  }
+  .panel.collapsed .body { display: none; }
+  .body { padding: 12px 14px; max-height: 420px; overflow-y: auto; }
+  .section { margin-bottom: 12px; }
+  .section:last-child { margin-bottom: 0; }
+  .label { font-size: 11px; font-weight: 600; text-transform: uppercase; color: #718096; margin-bottom: 4px; }
+  .muted { color: #a0aec0; }
+  .result { display: flex; justify-content: space-between; gap: 8px; padding: 4px 0; border-bottom: 1px solid #edf2f7; }
+  .result:last-child { border-bottom: none; }
+  .result a { color: #4c51bf; text-decoration: none; }
+  .result a:hover { text-decoration: underline; }
+  .result .cheaper { color: #2e7d32; font-weight: 600; }
+  .result .possible { color: #718096; font-size: 11px; }
+  svg { display: block; width: 100%; height: 40px; }
+  .history-range { display: flex; justify-content: space-between; font-size: 11px; color: #718096; }
+  form { display: flex; gap: 6px; }
+  input {
+    flex: 1;
+    min-width: 0;
+    padding: 6px 8px;
+    border: 1px solid #cbd5e0;
+    border-radius: 6px;
+    font: inherit;
+  }
+  form button {
+    padding: 6px 10px;
+    border: none;
+    border-radius: 6px;
+    background: #667eea;
+    color: #fff;
+    font: inherit;
+    font-weight: 600;
+    cursor: pointer;
+  }
+  .status { margin-top: 4px; font-size: 12px; }
+  .status.error { color: #c62828; }
+  .status.success { color: #2e7d32; }
+`;
+
+const PANEL_TEMPLATE = `
+  <div class="panel">
+    <div class="header">
+      <span>🔧</span>
+      <span class="title"></span>
+      <span class="seller-flag" hidden>3rd-party seller</span>
+      <button type="button" class="toggle" title="Expand"></button>
+      <button type="button" class="dismiss" title="Hide on this site">×</button>
+    </div>
+    <div class="body">
+      <div class="section">
+        <div class="label">Compare</div>
+        <div class="comparison muted">Loading prices…</div>
+      </div>
+      <div class="section">
+        <div class="label">Price history</div>
+        <div class="history muted">No history yet</div>
+      </div>
+      <div class="section">
+        <div class="label">Price alert</div>
+        <form class="alert-form">
+          <input type="number" name="targetPrice" min="0" step="0.01" placeholder="Target price">
+          <button type="submit">Set alert</button>
+        </form>
+        <div class="status"></div>
+      </div>
+    </div>
+  </div>
+`;
+
+class ToolScoutPanel {
+  /**
+   * options.formatPrice(amount, currency, locale) - formatter shared with the content script
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || chrome.storage.local;
+    this.sendMessage = options.sendMessage || (message => chrome.runtime.sendMessage(message));
+    this.formatPrice = options.formatPrice || ((amount, currency) => `${currency} ${amount.toFixed(2)}`);
+    this.siteKey = options.siteKey || window.location.hostname.replace(/^www\./, '');
+
+    this.host = null;
+    this.root = null;
+    this.product = null;
+    this.state = null;
+    this.detailsFor = null;
+
+    // The popup clears `dismissed` to bring the panel back
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'local' || !changes[PANEL_STATE_STORAGE_KEY]) return;
+      const state = changes[PANEL_STATE_STORAGE_KEY].newValue?.[this.siteKey];
+      if (this.state?.dismissed && state && !state.dismissed && this.product) {
+        this.state = null;
+        this.show(this.product);
+      }
+    });
+  }
+
+  /**
+   * Show (or refresh) the panel for a product. Does nothing while the shopper
+   * has dismissed the panel on this site.
+   */
+  async show(product) {
+    this.product = product;
+    this.state = this.state || await this.loadState();
+    if (this.state.dismissed) {
+      this.remove();
+      return;
+    }
+
+    if (!this.host || !this.host.isConnected) {
+      this.create();
+    }
+
+    const price = product.price ?
+      this.formatPrice(product.price, product.currency, product.priceLocale) +
+        (product.priceMax ? ` – ${this.formatPrice(product.priceMax, product.currency, product.priceLocale)}` : '') :
+      'Price unavailable';
+    this.query('.title').textContent = `ToolScout | ${price}`;
+    // Counterfeit batteries and chargers mostly come from third-party buy boxes
+    const sellerFlag = this.query('.seller-flag');
+    sellerFlag.hidden = product.buyBox?.sellerType !== 'third_party';
+    sellerFlag.title = product.buyBox?.soldBy ? `Sold by ${product.buyBox.soldBy}` : '';
+    this.query('input[name="targetPrice"]').placeholder = product.price ?
+      `Target price (e.g. ${(product.price * 0.9).toFixed(2)})` : 'Target price';
+
+    this.applyState();
+    if (!this.state.collapsed) {
+      this.loadDetails();
+    }
+  }
+
+  create() {
+    this.host = document.createElement('div');
+    this.host.id = PANEL_HOST_ID;
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    this.root.innerHTML = `<style>${PANEL_STYLES}</style>${PANEL_TEMPLATE}`;
+    this.detailsFor = null;
+
+    this.query('.toggle').addEventListener('click', () => this.toggle());
+    this.query('.dismiss').addEventListener('click', () => this.dismiss());
+    this.query('.alert-form').addEventListener('submit', event => {
+      event.preventDefault();
+      this.submitAlert();
+    });
+    this.query('.header').addEventListener('pointerdown', event => this.startDrag(event));
+
+    document.body.appendChild(this.host);
+  }
+
+  remove() {
+    if (this.host) this.host.remove();
+    this.host = null;
+    this.root = null;
+  }
+
+  query(selector) {
+    return this.root.querySelector(selector);
+  }
+
+  applyState() {
+    const { right, bottom } = this.state.position || PANEL_DEFAULT_POSITION;
+    this.host.style.cssText = `position: fixed; right: ${right}px; bottom: ${bottom}px; z-index: 2147483646;`;
+    this.query('.panel').classList.toggle('collapsed', this.state.collapsed);
+    this.query('.toggle').textContent = this.state.collapsed ? '▴' : '▾';
+    this.query('.toggle').title = this.state.collapsed ? 'Expand' : 'Collapse';
+  }
+
+  toggle() {
+    this.state.collapsed = !this.state.collapsed;
+    this.applyState();
+    this.saveState();
+    if (!this.state.collapsed) {
+      this.loadDetails();
+    }
+  }
+
+  dismiss() {
+    this.state.dismissed = true;
+    this.saveState();
+    this.remove();
+  }
+
+  // =================================================================================================
+  // DETAILS
+  // =================================================================================================
+
+  /**
+   * Fetch comparison results and price history once per product (and variant)
+   */
+  async loadDetails() {
+    const product = this.product;
+    const key = `${product.url}|${product.variantId}|${product.price}`;
+    if (this.detailsFor === key) return;
+    this.detailsFor = key;
+
+    const [comparison, history] = await Promise.all([
+      this.sendMessage({
+        action: 'comparePrice',
+        query: product.title,
+        reference: product,
+        // Convert into this page's currency so "cheaper" compares like with like
+        currency: product.currency
+      }).catch(() => null),
+      this.sendMessage({ action: 'getPriceHistory', url: product.url }).catch(() => null)
+    ]);
+
+    // A newer product (variant switch) may have arrived while waiting
+    if (this.detailsFor !== key || !this.root) return;
+
+    this.renderComparison(comparison?.success ? comparison.results : null);
+    this.renderHistory(history?.success ? history.history : null);
+  }
+
+  renderComparison(results) {
+    const container = this.query('.comparison');
+    container.textContent = '';
+
+    const others = (results || [])
+      .filter(item => item.retailer !== this.product.retailer && item.price > 0)
+      .slice(0, PANEL_COMPARISON_LIMIT);
+
+    container.classList.toggle('muted', others.length === 0);
+    if (others.length === 0) {
+      container.textContent = results ? 'No other retailers found' : 'Comparison unavailable';
+      return;
+    }
+
+    const ownPrice = this.product.comparablePrice ?? this.product.price;
+    others.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'result';
+
+      const link = document.createElement('a');
+      // Results come from retailer pages; only follow web links
+      if (/^https?:\/\//i.test(item.url || '')) link.href = item.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = PANEL_RETAILER_NAMES[item.retailer] || item.retailer;
+      link.title = item.title || '';
+
+      // Same search, but possibly a different model, kit or an accessory
+      const possible = item.match?.confidence === 'possible';
+      if (possible) {
+        const note = document.createElement('span');
+        note.className = 'possible';
+        note.textContent = ' (possible match)';
+        link.appendChild(note);
+      }
+
+      const total = item.totalPrice ?? item.price;
+      const price = document.createElement('span');
+      price.textContent = this.formatPrice(total, item.currency || this.product.currency, this.product.priceLocale);
+      if (item.originalCurrency) {
+        price.title = `${this.formatPrice(item.originalTotalPrice, item.originalCurrency, this.product.priceLocale)} at the retailer`;
+      }
+      if (ownPrice && total < ownPrice && !possible && !item.rateMissing) {
+        price.className = 'cheaper';
+        price.title = [price.title, 'Cheaper than this page, including shipping'].filter(Boolean).join(' · ');
+      }
+
+      row.append(link, price);
+      container.appendChild(row);
+    });
+  }
+
+  renderHistory(history) {
+    const container = this.query('.history');
+    const points = history?.points || [];
+    if (points.length < 2) {
+      container.classList.add('muted');
+      container.textContent = points.length ? 'Only one price recorded so far' : 'No history yet';
+      return;
+    }
+
+    const format = amount => this.formatPrice(amount, history.currency || this.product.currency, this.product.priceLocale);
+    const prices = points.map(point => point.price);
+    container.classList.remove('muted');
+    container.innerHTML = `
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none">
+        <path d="${ToolScoutPanel.buildSparkline(prices, 100, 40)}" fill="none" stroke="#667eea"
+          stroke-width="2" vector-effect="non-scaling-stroke"/>
+      </svg>
+      <div class="history-range"><span class="low"></span><span class="high"></span></div>
+    `;
+    container.querySelector('.low').textContent = `Low ${format(Math.min(...prices))}`;
+    container.querySelector('.high').textContent = `High ${format(Math.max(...prices))}`;
+  }
+
+  /**
+   * SVG path through the prices, scaled to the box. A flat history draws a
+   * line through the middle.
+   */
+  static buildSparkline(prices, width, height, padding = 2) {
+    if (prices.length === 0) return '';
+
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const stepX = prices.length > 1 ? width / (prices.length - 1) : 0;
+    const usable = height - padding * 2;
+
+    return prices.map((price, index) => {
+      const y = max === min ? height / 2 : padding + usable - ((price - min) / (max - min)) * usable;
+      return `${index === 0 ? 'M' : 'L'}${(index * stepX).toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+  }
+
+  // =================================================================================================
+  // ALERT FORM
+  // =================================================================================================
+
+  async submitAlert() {
+    const input = this.query('input[name="targetPrice"]');
+    const targetPrice = parseFloat(input.value);
+    const product = this.product;
+
+    if (!targetPrice || targetPrice <= 0) {
+      this.setStatus('Please enter a valid target price', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({
+        action: 'setAlert',
+        alert: {
+          productTitle: product.title,
+          productUrl: product.url,
+          currency: product.currency,
+          retailer: product.retailer,
+          attributes: product.attributes || null,
+          variantId: product.variantId || null,
+          variantLabel: product.variantLabel || null,
+          type: 'price',
+          targetPrice: targetPrice,
+          currentPrice: product.price,
+          effectivePrice: product.effectivePrice ?? null,
+          useEffectivePrice: false
+        }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to set alert');
+      }
+      input.value = '';
+      this.setStatus(`We'll alert you below ${this.formatPrice(targetPrice, product.currency, product.priceLocale)}`, 'success');
+    } catch (error) {
+      console.error('[ToolScout] Error setting alert from page panel:', error);
+      this.setStatus(error.message, 'error');
+    }
+  }
+
+  setStatus(message, type) {
+    const status = this.query('.status');
+    if (!status) return;
+    status.textContent = message;
+    status.className = `status ${type}`;
+  }
+
+  // =================================================================================================
+  // POSITION AND STATE
+  // =================================================================================================
+
+  /**
+   * Drag by the header. Position is kept as right/bottom offsets so the panel
+   * stays anchored to the corner when the window resizes.
+   */
+  startDrag(event) {
+    if (event.button !== 0 || event.composedPath().some(node => node.tagName === 'BUTTON')) return;
+    event.preventDefault();
+
+    const rect = this.host.getBoundingClientRect();
+    const offsetRight = rect.right - event.clientX;
+    const offsetBottom = rect.bottom - event.clientY;
+
+    const move = moveEvent => {
+      const right = Math.round(window.innerWidth - moveEvent.clientX - offsetRight);
+      const bottom = Math.round(window.innerHeight - moveEvent.clientY - offsetBottom);
+      this.state.position = {
+        right: Math.min(Math.max(right, 0), Math.max(window.innerWidth - rect.width, 0)),
+        bottom: Math.min(Math.max(bottom, 0), Math.max(window.innerHeight - rect.height, 0))
+      };
+      this.applyState();
+    };
+
+    const stop = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', stop);
+      this.saveState();
+    };
+
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', stop);
+  }
+
+  async loadState() {
+    try {
+      const result = await this.storage.get([PANEL_STATE_STORAGE_KEY]);
+      return {
+        collapsed: true,
+        dismissed: false,
+        position: null,
+        ...(result[PANEL_STATE_STORAGE_KEY]?.[this.siteKey] || {})
+      };
+    } catch (error) {
+      console.error('[ToolScout] Error loading panel state:', error);
+      return { collapsed: true, dismissed: false, position: null };
+    }
+  }
+
+  async saveState() {
+    try {
+      const result = await this.storage.get([PANEL_STATE_STORAGE_KEY]);
+      const states = result[PANEL_STATE_STORAGE_KEY] || {};
+      states[this.siteKey] = { ...this.state };
+      await this.storage.set({ [PANEL_STATE_STORAGE_KEY]: states });
+    } catch (error) {
+      console.error('[ToolScout] Error saving panel state:', error);
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ToolScoutPanel, PANEL_STATE_STORAGE_KEY };
+}
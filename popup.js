@@ -10,9 +10,21 @@
 let currentTab = 'search';
 let currentProduct = null;
 let comparisonResults = [];
+// Filter and sort choices for the comparison results, kept between popups
+const DEFAULT_RESULT_FILTERS = {
+    condition: 'new',
+    minRating: 0,
+    freeShipping: false,
+    inStock: false,
+    hiddenRetailers: [],
+    sortBy: 'totalPrice'
+};
+let resultFilters = { ...DEFAULT_RESULT_FILTERS };
 let priceAlerts = [];
 let affiliateSettings = {
     amazonTag: 'toolscout-20',
+    // Associates tags are per marketplace, keyed by domain ("amazon.de")
+    amazonTags: {},
     showAffiliateButton: true,
     enabledPrograms: ['amazon']
 };
@@ -26,6 +38,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Load affiliate settings
     await loadAffiliateSettings();
+    await loadResultFilters();
     
     // Setup event listeners
     setupTabNavigation();
@@ -52,18 +65,32 @@ async function loadAffiliateSettings() {
             showAffiliateButton: true,
             enableAmazon: true,
             enableHomeDepot: true,
+            enableLowes: true,
+            enableScrewfix: true,
+            enableToolstation: true,
             enableEbay: true,
-            enableLeroyMerlin: true
+            enableLeroyMerlin: true,
+            enableCastorama: true,
+            enableBricoDepot: true,
+            enableManoMano: true,
+            toolscoutSettings: {}
         });
         
         affiliateSettings.amazonTag = settings.amazonTag;
+        affiliateSettings.amazonTags = settings.toolscoutSettings?.affiliate?.amazonTags || {};
         affiliateSettings.showAffiliateButton = settings.showAffiliateButton;
         affiliateSettings.enabledPrograms = [];
         
         if (settings.enableAmazon) affiliateSettings.enabledPrograms.push('amazon');
         if (settings.enableHomeDepot) affiliateSettings.enabledPrograms.push('homedepot');
+        if (settings.enableLowes) affiliateSettings.enabledPrograms.push('lowes');
+        if (settings.enableScrewfix) affiliateSettings.enabledPrograms.push('screwfix');
+        if (settings.enableToolstation) affiliateSettings.enabledPrograms.push('toolstation');
         if (settings.enableEbay) affiliateSettings.enabledPrograms.push('ebay');
         if (settings.enableLeroyMerlin) affiliateSettings.enabledPrograms.push('leroymerlin');
+        if (settings.enableCastorama) affiliateSettings.enabledPrograms.push('castorama');
+        if (settings.enableBricoDepot) affiliateSettings.enabledPrograms.push('bricodepot');
+        if (settings.enableManoMano) affiliateSettings.enabledPrograms.push('manomano');
         
     } catch (error) {
         console.error('[ToolScout] Error loading affiliate settings:', error);
@@ -85,10 +112,35 @@ function generateAmazonAffiliateLink(productUrl, productASIN = null) {
         return productUrl; // Return original URL if no ASIN found
     }
     
-    // Generate affiliate link with tag
-    const affiliateUrl = `https://www.amazon.com/dp/${productASIN}?tag=${affiliateSettings.amazonTag}`;
+    // Keep the product's own marketplace (amazon.de, amazon.co.jp, ...)
+    let host = 'www.amazon.com';
+    try {
+        const hostname = new URL(productUrl).hostname;
+        if (/(^|\.)amazon\./.test(hostname)) host = hostname;
+    } catch (e) {
+        // Fall back to amazon.com for relative or missing URLs
+    }
+    
+    // A tag from another marketplace earns nothing, so links without one stay untagged
+    const tag = getAmazonTag(host);
+    return `https://${host}/dp/${productASIN}${tag ? `?tag=${encodeURIComponent(tag)}` : ''}`;
+}
+
+/**
+ * The Associates tag for an Amazon URL's or host's marketplace, or null when none is set
+ */
+function getAmazonTag(urlOrHost) {
+    let hostname = String(urlOrHost || '');
+    try {
+        hostname = new URL(hostname).hostname;
+    } catch (e) {
+        // Already a hostname
+    }
     
-    return affiliateUrl;
+    const domain = hostname.toLowerCase().replace(/^(?:.*\.)?(amazon\.)/, '$1');
+    const tag = affiliateSettings.amazonTags[domain] ||
+        (domain === 'amazon.com' ? affiliateSettings.amazonTag : null);
+    return tag && !/^YOUR_/.test(tag) ? tag : null;
 }
 
 // =================================================================================================
@@ -173,7 +225,13 @@ async function checkCurrentSite() {
         
         if (!tab || !tab.url) return;
         
-        const supportedSites = ['amazon.com', 'homedepot.com', 'leroymerlin.fr', 'ebay.com'];
+        const supportedSites = [
+            'amazon.com', 'amazon.ca', 'amazon.co.uk', 'amazon.de', 'amazon.fr',
+            'amazon.es', 'amazon.it', 'amazon.co.jp', 'amazon.in',
+            'homedepot.com', 'lowes.com', 'screwfix.com', 'toolstation.com',
+            'leroymerlin.fr', 'castorama.fr', 'bricodepot.fr', 'manomano.fr',
+            'ebay.com', 'ebay.ca', 'ebay.co.uk', 'ebay.de', 'ebay.fr'
+        ];
         const hostname = new URL(tab.url).hostname.toLowerCase();
         
         const isSupported = supportedSites.some(site => hostname.includes(site));
@@ -213,6 +271,8 @@ function setupSearchSection() {
             performSearch();
         }
     });
+    
+    setupResultFilters();
 }
 
 async function performSearch() {
@@ -232,6 +292,7 @@ async function performSearch() {
     searchButton.disabled = true;
     searchButton.innerHTML = '<span>Searching...</span>';
     resultsSection.classList.remove('hidden');
+    document.getElementById('providerStatus').classList.add('hidden');
     resultsList.innerHTML = `
         <div class="loading">
             <div class="loading-spinner"></div>
@@ -241,12 +302,18 @@ async function performSearch() {
     
     try {
         // Send search request to background script
+        // Searching for the product on the page lets the background weed out
+        // accessories and other models
         const response = await chrome.runtime.sendMessage({
             action: 'comparePrice',
-            query: query
+            query: query,
+            reference: currentProduct && currentProduct.title === query ? currentProduct : null,
+            // Used and refurbished listings come back too; the condition filter picks
+            condition: 'any'
         });
         
         if (response.success) {
+            displayProviderStatus(response.providers);
             displaySearchResults(response.results);
         } else {
             throw new Error(response.error || 'Search failed');
@@ -265,10 +332,32 @@ async function performSearch() {
     }
 }
 
+/**
+ * One line naming the retailers that answered and the ones that failed
+ */
+function displayProviderStatus(providers) {
+    const status = document.getElementById('providerStatus');
+    const searched = (providers || []).filter(provider => provider.status !== 'disabled');
+    
+    status.textContent = searched.map(provider => {
+        const name = getRetailerName(provider.retailer);
+        if (provider.status === 'ok') return `✓ ${name}`;
+        return `✗ ${name} (${provider.status === 'timeout' ? 'timed out' : 'unavailable'})`;
+    }).join(' · ');
+    status.title = searched
+        .filter(provider => provider.error)
+        .map(provider => `${getRetailerName(provider.retailer)}: ${provider.error}`)
+        .join('\n');
+    status.classList.toggle('hidden', searched.length === 0);
+}
+
 function displaySearchResults(results) {
     const resultsList = document.getElementById('resultsList');
     
-    if (!results || results.length === 0) {
+    comparisonResults = results || [];
+    renderRetailerFilters(comparisonResults);
+    
+    if (comparisonResults.length === 0) {
         resultsList.innerHTML = `
             <div class="no-results">
                 <div class="no-results-icon">🔍</div>
@@ -278,12 +367,31 @@ function displaySearchResults(results) {
         return;
     }
     
-    comparisonResults = results;
+    const filtered = filterResults(comparisonResults, resultFilters);
+    if (filtered.length === 0) {
+        resultsList.innerHTML = `
+            <div class="no-results">
+                <div class="no-results-icon">🔍</div>
+                <div>No results match your filters (${comparisonResults.length} hidden).</div>
+            </div>
+        `;
+        return;
+    }
+    
+    const sorted = sortResults(filtered, resultFilters.sortBy);
+    
+    // The best deal is the cheapest of the results left after filtering. Price
+    // sorts rank by their own measure; rating and delivery sorts fall back to
+    // the background's total-price order. Possible matches may be a different
+    // product and unconverted prices cannot be compared, so neither gets the badge.
+    const byPrice = PRICE_SORTS.includes(resultFilters.sortBy) ? sorted : filtered;
+    const bestDeal = byPrice.find(result => result.match?.confidence !== 'possible' && !result.rateMissing);
     
     // Build results HTML with affiliate links
-    let html = '';
-    results.forEach((result, index) => {
-        const isBestDeal = index === 0;
+    let html = filtered.length < comparisonResults.length ?
+        `<div class="results-count">Showing ${filtered.length} of ${comparisonResults.length} results</div>` : '';
+    sorted.forEach(result => {
+        const isBestDeal = result === bestDeal;
         let finalUrl = result.url;
         
         // Generate affiliate links based on retailer
@@ -294,22 +402,37 @@ function displaySearchResults(results) {
         }
         
         html += `
-            <div class="result-item slide-in" data-url="${finalUrl}" data-retailer="${result.retailer}">
+            <div class="result-item slide-in" data-url="${escapeHtml(safeUrl(finalUrl))}" data-retailer="${escapeHtml(result.retailer)}">
                 ${isBestDeal ? '<div class="best-deal">BEST DEAL</div>' : ''}
                 <div class="result-header-row">
-                    <span class="retailer-badge retailer-${result.retailer}">
-                        ${getRetailerName(result.retailer)}
+                    <span class="retailer-badge retailer-${escapeHtml(result.retailer)}">
+                        ${escapeHtml(getRetailerName(result.retailer))}
+                    </span>
+                    <span class="result-price" title="${result.landedCost ? formatLandedCost(result) : ''}">
+                        ${formatProductPrice(result)}
+                        ${result.originalCurrency ? `<span class="original-price" title="Converted at ${formatExchangeRate(result)}">
+                            ${formatProductPrice({ ...result, currency: result.originalCurrency }, result.originalPrice)}
+                        </span>` : ''}
                     </span>
-                    <span class="result-price">$${result.price.toFixed(2)}</span>
                 </div>
-                <div class="result-title">${result.title}</div>
+                <div class="result-title">${escapeHtml(result.title)}</div>
                 <div class="result-details">
-                    <span class="detail-badge ${result.inStock ? '' : 'out-of-stock'}">
-                        ${result.inStock ? '✓ In Stock' : '✗ Out of Stock'}
+                    <span class="detail-badge ${result.inStock === false ? 'out-of-stock' : ''}">
+                        ${result.inStock === null || result.inStock === undefined ? '? Stock unknown' :
+                            result.inStock ? '✓ In Stock' : '✗ Out of Stock'}
                     </span>
                     <span class="detail-badge shipping-badge">
-                        📦 ${result.shipping || 'Shipping varies'}
+                        📦 ${formatShipping(result)}
                     </span>
+                    ${result.match?.confidence === 'possible' ?
+                        '<span class="detail-badge possible-match-badge">❔ Possible match</span>' : ''}
+                    ${result.landedCost ? 
+                        `<span class="detail-badge landed-badge" title="${formatLandedCost(result)}">🧾 ${formatProductPrice(result, result.landedCost.total)} landed${result.landedCost.taxKnown && result.landedCost.shippingKnown ? '' : '*'}</span>` : ''}
+                    ${result.unitPrice ? `<span class="detail-badge">⚖️ ${formatUnitPrice(result, result.unitPrice)}</span>` : ''}
+                    ${['used', 'refurbished'].includes(getConditionGroup(result.condition)) ?
+                        `<span class="detail-badge">${escapeHtml(result.condition)}</span>` : ''}
+                    ${typeof result.seller?.rating === 'number' ?
+                        `<span class="detail-badge" title="Seller ${escapeHtml(result.seller.username)}">⭐ ${result.seller.rating}%</span>` : ''}
                     ${result.retailer === 'amazon' || result.retailer === 'ebay' ? 
                         '<span class="detail-badge affiliate-badge">💰 Affiliate</span>' : ''}
                 </div>
@@ -337,6 +460,185 @@ function displaySearchResults(results) {
     });
 }
 
+/**
+ * Order results for display. Per-unit sorting only compares unit prices in the
+ * most common unit; other results follow in the background's total-price order.
+ */
+function sortResults(results, sortBy) {
+    if (sortBy === 'landedCost') return sortByLandedCost(results);
+    if (sortBy === 'price') return sortByField(results, item => item.rateMissing ? null : item.price);
+    if (sortBy === 'rating') return sortByField(results, item => item.seller?.rating ?? null, true);
+    if (sortBy === 'delivery') return sortByField(results, item => item.shipping?.deliveryDate || null);
+    if (sortBy !== 'unitPrice') return results;
+    
+    const unitCounts = {};
+    results.forEach(item => {
+        if (item.unitPrice) unitCounts[item.unitPrice.unit] = (unitCounts[item.unitPrice.unit] || 0) + 1;
+    });
+    const unit = Object.keys(unitCounts).sort((a, b) => unitCounts[b] - unitCounts[a])[0];
+    const comparable = item => item.unitPrice?.unit === unit;
+    
+    return results
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => {
+            if (comparable(a.item) !== comparable(b.item)) return comparable(a.item) ? -1 : 1;
+            if (comparable(a.item) && a.item.unitPrice.amount !== b.item.unitPrice.amount) {
+                return a.item.unitPrice.amount - b.item.unitPrice.amount;
+            }
+            return a.index - b.index;
+        })
+        .map(({ item }) => item);
+}
+
+/**
+ * Order by out-the-door price. Totals still missing tax or shipping would look
+ * cheaper than they are, so complete ones come first.
+ */
+function sortByLandedCost(results) {
+    const complete = item => Boolean(item.landedCost?.taxKnown && item.landedCost?.shippingKnown);
+    
+    return results
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => {
+            if (Boolean(a.item.rateMissing) !== Boolean(b.item.rateMissing)) return a.item.rateMissing ? 1 : -1;
+            if (complete(a.item) !== complete(b.item)) return complete(a.item) ? -1 : 1;
+            const aTotal = a.item.landedCost?.total ?? a.item.totalPrice;
+            const bTotal = b.item.landedCost?.total ?? b.item.totalPrice;
+            if (aTotal !== bTotal) return aTotal - bTotal;
+            return a.index - b.index;
+        })
+        .map(({ item }) => item);
+}
+
+/**
+ * Stable sort on one field. Results without a value (no seller rating, no
+ * delivery estimate) follow in the background's total-price order.
+ */
+function sortByField(results, value, descending = false) {
+    return results
+        .map((item, index) => ({ item, index, value: value(item) }))
+        .sort((a, b) => {
+            if ((a.value === null) !== (b.value === null)) return a.value === null ? 1 : -1;
+            if (a.value !== b.value) {
+                const order = a.value < b.value ? -1 : 1;
+                return descending ? -order : order;
+            }
+            return a.index - b.index;
+        })
+        .map(({ item }) => item);
+}
+
+// =================================================================================================
+// RESULT FILTERS
+// =================================================================================================
+
+// Sorts that rank by price, so the first eligible result is the best deal
+const PRICE_SORTS = ['totalPrice', 'price', 'landedCost', 'unitPrice'];
+
+async function loadResultFilters() {
+    try {
+        const { resultFilters: saved } = await chrome.storage.local.get(['resultFilters']);
+        resultFilters = { ...DEFAULT_RESULT_FILTERS, ...saved };
+    } catch (error) {
+        console.error('[ToolScout] Error loading result filters:', error);
+    }
+    
+    document.getElementById('resultsSort').value = resultFilters.sortBy;
+    document.getElementById('filterCondition').value = resultFilters.condition;
+    document.getElementById('filterRating').value = String(resultFilters.minRating);
+    document.getElementById('filterFreeShipping').checked = resultFilters.freeShipping;
+    document.getElementById('filterInStock').checked = resultFilters.inStock;
+}
+
+function setupResultFilters() {
+    const readControls = () => ({
+        ...resultFilters,
+        sortBy: document.getElementById('resultsSort').value,
+        condition: document.getElementById('filterCondition').value,
+        minRating: Number(document.getElementById('filterRating').value),
+        freeShipping: document.getElementById('filterFreeShipping').checked,
+        inStock: document.getElementById('filterInStock').checked
+    });
+    
+    ['resultsSort', 'filterCondition', 'filterRating', 'filterFreeShipping', 'filterInStock'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => updateResultFilters(readControls()));
+    });
+    
+    // Retailer toggles are rebuilt with every render, so listen on their container
+    document.getElementById('filterRetailers').addEventListener('click', (e) => {
+        const toggle = e.target.closest('.retailer-toggle');
+        if (!toggle) return;
+        
+        const retailer = toggle.dataset.retailer;
+        const hiddenRetailers = resultFilters.hiddenRetailers.includes(retailer) ?
+            resultFilters.hiddenRetailers.filter(item => item !== retailer) :
+            [...resultFilters.hiddenRetailers, retailer];
+        updateResultFilters({ ...resultFilters, hiddenRetailers });
+    });
+}
+
+async function updateResultFilters(filters) {
+    resultFilters = filters;
+    
+    // Re-filter the results already shown; no need to search again
+    if (comparisonResults.length > 0) {
+        displaySearchResults(comparisonResults);
+    }
+    
+    try {
+        await chrome.storage.local.set({ resultFilters });
+    } catch (error) {
+        console.error('[ToolScout] Error saving result filters:', error);
+    }
+}
+
+/**
+ * One toggle per retailer in the results, with how many results it has
+ */
+function renderRetailerFilters(results) {
+    const counts = {};
+    results.forEach(result => {
+        counts[result.retailer] = (counts[result.retailer] || 0) + 1;
+    });
+    
+    document.getElementById('filterRetailers').innerHTML = Object.entries(counts).map(([retailer, count]) => `
+        <button type="button" class="retailer-toggle ${resultFilters.hiddenRetailers.includes(retailer) ? 'off' : ''}"
+                data-retailer="${escapeHtml(retailer)}" title="Show or hide ${escapeHtml(getRetailerName(retailer))}">
+            ${escapeHtml(getRetailerName(retailer))} (${count})
+        </button>
+    `).join('');
+}
+
+/**
+ * Results passing the filter bar. Listings sold by the retailer itself have no
+ * seller rating and always pass the rating filter; a marketplace seller with
+ * no rating does not.
+ */
+function filterResults(results, filters) {
+    return results.filter(result => {
+        if (filters.hiddenRetailers.includes(result.retailer)) return false;
+        if (filters.condition !== 'any' && getConditionGroup(result.condition) !== filters.condition) return false;
+        if (filters.minRating > 0 && result.seller && !(result.seller.rating >= filters.minRating)) return false;
+        // Landed cost knows whether the order clears a free-shipping threshold
+        if (filters.freeShipping && (result.landedCost?.shipping ?? result.shipping?.cost) !== 0) return false;
+        if (filters.inStock && result.inStock !== true) return false;
+        return true;
+    });
+}
+
+/**
+ * Group the many ways condition is worded ("New other (see details)", "Seller
+ * refurbished", "For parts or not working") into new, used and refurbished.
+ * Null when the listing does not say.
+ */
+function getConditionGroup(condition) {
+    const text = String(condition || '').trim();
+    if (/refurb|remanufactured|reconditioned/i.test(text)) return 'refurbished';
+    if (/^(?:brand\s+)?new\b/i.test(text)) return 'new';
+    if (/used|pre-?owned|open\s*box|parts|like new|very good|good|acceptable/i.test(text)) return 'used';
+    return null;
+}
+
 // =================================================================================================
 // AFFILIATE CLICK TRACKING
 // =================================================================================================
@@ -353,7 +655,7 @@ async function trackAffiliateClick(retailer, url) {
             url: url,
             timestamp: Date.now(),
             productTitle: currentProduct?.title || 'Unknown',
-            affiliateTag: retailer === 'amazon' ? affiliateSettings.amazonTag : 'ebay-partner'
+            affiliateTag: retailer === 'amazon' ? getAmazonTag(url) : 'ebay-partner'
         });
         
         // Keep only last 1000 clicks
@@ -390,6 +692,35 @@ function setupCurrentProductSection() {
             await performSearch();
         }
     });
+    
+    document.getElementById('showPanelButton').addEventListener('click', async () => {
+        const siteKey = getPanelSiteKey(currentProduct);
+        if (!siteKey) return;
+        
+        try {
+            const { panelState = {} } = await chrome.storage.local.get(['panelState']);
+            panelState[siteKey] = { ...panelState[siteKey], dismissed: false };
+            await chrome.storage.local.set({ panelState });
+            document.getElementById('showPanelButton').classList.add('hidden');
+        } catch (error) {
+            console.error('[ToolScout] Error restoring page panel:', error);
+        }
+    });
+}
+
+// The in-page panel keeps its collapsed/dismissed state per host (page-panel.js)
+function getPanelSiteKey(productData) {
+    try {
+        return new URL(productData.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+async function updatePanelButton(productData) {
+    const siteKey = getPanelSiteKey(productData);
+    const { panelState = {} } = await chrome.storage.local.get(['panelState']);
+    document.getElementById('showPanelButton').classList.toggle('hidden', !panelState[siteKey]?.dismissed);
 }
 
 async function loadCurrentProduct() {
@@ -415,12 +746,19 @@ function updateCurrentProduct(productData) {
     const compareButton = document.getElementById('compareButton');
     
     if (productData && productData.title) {
-        titleElement.textContent = productData.title;
+        titleElement.textContent = productData.variantLabel ?
+            `${productData.title} (${productData.variantLabel})` : productData.title;
         priceElement.textContent = productData.price ? 
-            `$${productData.price.toFixed(2)}` : 'Price not available';
+            formatProductPrice(productData) : 'Price not available';
         retailerElement.textContent = getRetailerName(productData.retailer);
         retailerElement.className = `retailer-badge retailer-${productData.retailer}`;
+        renderPriceBreakdown(productData);
+        // Back-in-stock alerts only make sense while the product is unavailable
+        document.getElementById('setRestockButton').classList.toggle('hidden',
+            !['out_of_stock', 'backorder'].includes(productData.availability?.state));
+        document.getElementById('alertOfficialOnlyOption').classList.toggle('hidden', !productData.buyBox);
         compareButton.disabled = false;
+        updatePanelButton(productData).catch(() => {});
         
         // Add Amazon View Deal button if on Amazon
         if (productData.retailer === 'amazon' && affiliateSettings.showAffiliateButton) {
@@ -431,6 +769,9 @@ function updateCurrentProduct(productData) {
         priceElement.textContent = '--';
         retailerElement.textContent = 'Unknown';
         retailerElement.className = 'retailer-badge';
+        document.getElementById('priceBreakdown').classList.add('hidden');
+        document.getElementById('setRestockButton').classList.add('hidden');
+        document.getElementById('showPanelButton').classList.add('hidden');
         compareButton.disabled = true;
     }
 }
@@ -499,6 +840,7 @@ function addAmazonAffiliateButton(productData) {
 
 function setupAlertSection() {
     const setAlertButton = document.getElementById('setAlertButton');
+    const setRestockButton = document.getElementById('setRestockButton');
     
     setAlertButton.addEventListener('click', async () => {
         const priceInput = document.getElementById('alertPriceInput');
@@ -516,11 +858,15 @@ function setupAlertSection() {
         
         try {
             const alert = {
-                productTitle: currentProduct.title,
-                productUrl: currentProduct.url,
+                ...getAlertProductFields(),
+                type: 'price',
                 targetPrice: targetPrice,
                 currentPrice: currentProduct.price,
-                retailer: currentProduct.retailer
+                effectivePrice: currentProduct.effectivePrice ?? null,
+                useEffectivePrice: document.getElementById('alertUseEffective').checked,
+                officialSellerOnly: Boolean(currentProduct.buyBox) &&
+                    document.getElementById('alertOfficialOnly').checked,
+                useLandedCost: document.getElementById('alertUseLandedCost').checked
             };
             
             const response = await chrome.runtime.sendMessage({
@@ -540,6 +886,51 @@ function setupAlertSection() {
             showNotification('Failed to set price alert', 'error');
         }
     });
+    
+    setRestockButton.addEventListener('click', async () => {
+        if (!currentProduct || !currentProduct.title) {
+            showNotification('Please visit a product page first', 'error');
+            return;
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'setAlert',
+                alert: {
+                    ...getAlertProductFields(),
+                    type: 'restock',
+                    currentPrice: currentProduct.price ?? null,
+                    lastAvailability: currentProduct.availability?.state || null
+                }
+            });
+            
+            if (response.success) {
+                showNotification("We'll let you know when it's back in stock", 'success');
+                await loadPriceAlerts();
+            } else {
+                throw new Error(response.error || 'Failed to set alert');
+            }
+        } catch (error) {
+            console.error('[ToolScout] Error setting restock alert:', error);
+            showNotification('Failed to set back-in-stock alert', 'error');
+        }
+    });
+}
+
+/**
+ * Product details shared by price and back-in-stock alerts
+ */
+function getAlertProductFields() {
+    return {
+        productTitle: currentProduct.title,
+        productUrl: currentProduct.url,
+        currency: currentProduct.currency,
+        retailer: currentProduct.retailer,
+        attributes: currentProduct.attributes || null,
+        // Alerts follow the variant shown when they were set (bare tool vs kit)
+        variantId: currentProduct.variantId || null,
+        variantLabel: currentProduct.variantLabel || null
+    };
 }
 
 async function loadPriceAlerts() {
@@ -574,17 +965,25 @@ function displayPriceAlerts(alerts) {
         html += `
             <div class="alert-item" data-id="${alert.id}">
                 <button class="delete-alert" data-id="${alert.id}">×</button>
-                <div style="font-weight: 600; margin-bottom: 4px;">${alert.productTitle}</div>
+                <div style="font-weight: 600; margin-bottom: 4px;">${escapeHtml(alert.productTitle)}</div>
+                ${alert.variantLabel ? `<div style="font-size: 12px; color: #6c7293; margin-bottom: 4px;">Variant: ${escapeHtml(alert.variantLabel)}</div>` : ''}
                 <div style="font-size: 12px; color: #6c7293;">
-                    Target: $${alert.targetPrice.toFixed(2)} | 
-                    Current: $${(alert.currentPrice || 0).toFixed(2)} | 
+                    ${alert.type === 'restock' ? `
+                        📦 Back in stock | 
+                        Last seen: ${formatAvailability(alert.lastAvailability)} | 
+                    ` : `
+                        Target: ${formatProductPrice(alert, alert.targetPrice)} | 
+                        Current: ${formatProductPrice(alert, alert.currentPrice || 0)} | 
+                        ${alert.officialSellerOnly ? 'Official sellers only | ' : ''}
+                        ${alert.useLandedCost ? 'Landed cost | ' : ''}
+                    `}
                     ${getRetailerName(alert.retailer)}
                     ${isAmazon || isEbay ? ' | 💰 Affiliate' : ''}
                 </div>
                 ${alert.triggered ? `
-                    <a href="${isAmazon ? generateAmazonAffiliateLink(alert.dealUrl) : 
+                    <a href="${escapeHtml(safeUrl(isAmazon ? generateAmazonAffiliateLink(alert.dealUrl) : 
                                isEbay ? generateEbayAffiliateLink(alert.dealUrl) : 
-                               alert.dealUrl}" 
+                               alert.dealUrl))}" 
                        target="_blank" 
                        style="color: #4facfe; font-size: 12px; text-decoration: none; font-weight: 600;">
                        View Deal →
@@ -635,16 +1034,269 @@ document.getElementById('settingsBtn')?.addEventListener('click', () => {
 // UTILITY FUNCTIONS
 // =================================================================================================
 
+/**
+ * Text from retailer pages and APIs, safe to put in markup
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * The URL if it is an http(s) link, otherwise an empty string
+ */
+function safeUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? url : '';
+    } catch (error) {
+        return '';
+    }
+}
+
 function getRetailerName(retailer) {
     const names = {
         'amazon': 'Amazon',
         'homedepot': 'Home Depot',
+        'lowes': 'Lowe\'s',
+        'screwfix': 'Screwfix',
+        'toolstation': 'Toolstation',
         'leroymerlin': 'Leroy Merlin',
+        'castorama': 'Castorama',
+        'bricodepot': 'Brico Dépôt',
+        'manomano': 'ManoMano',
         'ebay': 'eBay'
     };
     return names[retailer] || retailer;
 }
 
+function formatProductPrice(productData, amount = productData.price) {
+    if (!productData.currency) {
+        return `$${amount.toFixed(2)}`;
+    }
+    
+    try {
+        return new Intl.NumberFormat(productData.priceLocale || 'en-US', {
+            style: 'currency',
+            currency: productData.currency
+        }).format(amount);
+    } catch (error) {
+        return `${productData.currency} ${amount.toFixed(2)}`;
+    }
+}
+
+/**
+ * List price, coupon, Subscribe & Save, member and bulk prices under the current price
+ */
+function renderPriceBreakdown(productData) {
+    const breakdown = document.getElementById('priceBreakdown');
+    const lines = [];
+    
+    if (productData.listPrice) {
+        lines.push(`List price: <s>${formatProductPrice(productData, productData.listPrice)}</s>`);
+    }
+    if (productData.coupon) {
+        const couponValue = productData.coupon.type === 'percent' ?
+            `${productData.coupon.value}%` : formatProductPrice(productData, productData.coupon.value);
+        lines.push(`Coupon: ${couponValue} off`);
+    }
+    if (productData.subscribeSavePrice) {
+        lines.push(`Subscribe & Save: ${formatProductPrice(productData, productData.subscribeSavePrice)}`);
+    }
+    if (productData.memberPrice) {
+        lines.push(`Member price: ${formatProductPrice(productData, productData.memberPrice)}`);
+    }
+    if (productData.unitPrice) {
+        lines.push(`Unit price: ${formatUnitPrice(productData, productData.unitPrice)}`);
+    }
+    (productData.quantityTiers || []).forEach(tier => {
+        lines.push(`Buy ${tier.minQuantity}+: ${formatProductPrice(productData, tier.price)} each`);
+    });
+    if (productData.type) {
+        const format = [LISTING_TYPE_LABELS[productData.type] || productData.type];
+        if (productData.bidCount !== null && productData.bidCount !== undefined) {
+            format.push(`${productData.bidCount} bid${productData.bidCount === 1 ? '' : 's'}`);
+        }
+        if (productData.timeLeft) format.push(escapeHtml(productData.timeLeft));
+        if (productData.bestOffer) format.push('Best Offer');
+        lines.push(`Listing: ${format.join(' · ')}`);
+    }
+    if (productData.seller?.username) {
+        const score = [productData.seller.feedback, productData.seller.rating !== null ? `${productData.seller.rating}%` : null]
+            .filter(value => value !== null && value !== undefined);
+        lines.push(`Seller: ${escapeHtml(productData.seller.username)}${score.length ? ` (${score.join(', ')})` : ''}`);
+    }
+    if (productData.location) {
+        lines.push(`Ships from: ${escapeHtml(productData.location)}`);
+    }
+    if (productData.buyBox?.soldBy) {
+        const shipsFrom = productData.buyBox.shipsFrom && productData.buyBox.shipsFrom !== productData.buyBox.soldBy ?
+            `, ships from ${escapeHtml(productData.buyBox.shipsFrom)}` : '';
+        lines.push(`Sold by: ${escapeHtml(productData.buyBox.soldBy)}${shipsFrom}`);
+    }
+    if (productData.buyBox?.sellerType === 'third_party') {
+        lines.push('<span class="seller-warning">⚠️ Third-party seller in the buy box - check it is genuine</span>');
+    }
+    const offerLine = formatOffers(productData);
+    if (offerLine) {
+        lines.push(`Other offers: ${offerLine}`);
+    }
+    if (productData.availability && productData.availability.state !== 'unknown') {
+        lines.push(`Stock: ${formatAvailability(productData.availability.state, productData.availability.quantity)}`);
+    }
+    if (productData.shipping && (productData.shipping.cost !== null || productData.shipping.deliveryDate)) {
+        lines.push(`Delivery: ${formatShipping(productData)}`);
+    }
+    if (productData.shipping?.pickup) {
+        lines.push(`Pickup: ${productData.shipping.pickup.available === false ? 'unavailable' :
+            productData.shipping.pickup.available ? 'available' : escapeHtml(productData.shipping.pickup.text)}`);
+    }
+    if (productData.effectivePrice !== null && productData.effectivePrice !== undefined &&
+        productData.effectivePrice < (productData.comparablePrice ?? productData.price)) {
+        lines.push(`<strong>Effective price: ${formatProductPrice(productData, productData.effectivePrice)}</strong>`);
+    }
+    
+    breakdown.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    breakdown.classList.toggle('hidden', lines.length === 0);
+}
+
+/**
+ * Summarize the "Other sellers" offers: cheapest new, used and Amazon Warehouse
+ */
+function formatOffers(productData) {
+    const offers = productData.offers || [];
+    if (offers.length === 0) {
+        const summary = productData.offerSummary;
+        if (!summary?.count) return null;
+        return summary.lowestPrice ?
+            `${summary.count} from ${formatProductPrice(productData, summary.lowestPrice)}` : `${summary.count}`;
+    }
+    
+    const cheapest = list => list.length ? Math.min(...list.map(offer => offer.price)) : null;
+    const groups = [
+        ['new', offers.filter(offer => offer.condition === 'new')],
+        ['official', offers.filter(offer => offer.condition === 'new' && ['amazon', 'manufacturer'].includes(offer.sellerType))],
+        ['used', offers.filter(offer => offer.condition !== 'new' && !offer.warehouse)],
+        ['Amazon Warehouse', offers.filter(offer => offer.warehouse)]
+    ];
+    
+    return groups
+        .filter(([, list]) => list.length > 0)
+        .map(([label, list]) => `${list.length} ${label} from ${formatProductPrice(productData, cheapest(list))}`)
+        .join(', ');
+}
+
+/**
+ * Landed cost breakdown for the result tooltip, one line per component
+ */
+function formatLandedCost(result) {
+    const cost = result.landedCost;
+    const format = amount => formatProductPrice(result, amount);
+    const lines = [`Item: ${format(cost.itemPrice)}`];
+    
+    if (cost.fees) lines.push(`Fees: ${format(cost.fees)}`);
+    lines.push(cost.shipping === null ? 'Shipping: quoted at checkout' :
+        `Shipping: ${cost.shipping === 0 ? 'free' : format(cost.shipping)}`);
+    if (cost.tax === null || cost.taxIncluded) {
+        lines.push(cost.taxLabel);
+    } else {
+        lines.push(`${cost.taxLabel}: ${format(cost.tax)}`);
+    }
+    lines.push(`Landed cost: ${format(cost.total)}${cost.taxKnown && cost.shippingKnown ? '' : ' (incomplete)'}`);
+    if (result.originalCurrency) {
+        lines.push(`Converted at ${formatExchangeRate(result)}`);
+    }
+    
+    return lines.join('\n');
+}
+
+// "1 EUR = 1.09 USD"
+function formatExchangeRate(result) {
+    return `1 ${result.originalCurrency} = ${Number(result.exchangeRate.toPrecision(4))} ${result.currency}`;
+}
+
+const UNIT_LABELS = {
+    piece: 'piece',
+    Ah: 'Ah',
+    ft: 'ft',
+    m: 'm'
+};
+
+// Per-piece prices of screws and bits need more than two decimals
+function formatUnitPrice(item, unitPrice) {
+    const digits = unitPrice.amount < 1 ? 3 : 2;
+    let amount;
+    try {
+        amount = new Intl.NumberFormat(item.priceLocale || 'en-US', {
+            style: 'currency',
+            currency: item.currency || 'USD',
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }).format(unitPrice.amount);
+    } catch (error) {
+        amount = `${item.currency || '$'} ${unitPrice.amount.toFixed(digits)}`;
+    }
+    return `${amount} / ${UNIT_LABELS[unitPrice.unit] || unitPrice.unit}`;
+}
+
+const LISTING_TYPE_LABELS = {
+    Auction: 'Auction',
+    AuctionWithBIN: 'Auction with Buy It Now',
+    FixedPrice: 'Buy It Now',
+    StoreInventory: 'Buy It Now'
+};
+
+const AVAILABILITY_LABELS = {
+    in_stock: 'In stock',
+    low_stock: 'Low stock',
+    out_of_stock: 'Out of stock',
+    backorder: 'Backorder',
+    in_store_only: 'In store only',
+    unknown: 'Unknown'
+};
+
+function formatAvailability(state, quantity = null) {
+    const label = AVAILABILITY_LABELS[state] || AVAILABILITY_LABELS.unknown;
+    return quantity !== null && quantity !== undefined && state !== 'out_of_stock' ? `${label} (${quantity} left)` : label;
+}
+
+/**
+ * Describe a structured shipping object: cost (or free threshold) and delivery date
+ */
+function formatShipping(item) {
+    const shipping = item.shipping;
+    if (!shipping) return 'Shipping varies';
+    
+    const format = amount => formatProductPrice({ ...item, currency: shipping.currency || item.currency }, amount);
+    const parts = [];
+    
+    if (shipping.cost === 0) {
+        parts.push('Free shipping');
+    } else if (shipping.cost !== null && shipping.cost !== undefined) {
+        parts.push(`${format(shipping.cost)} shipping`);
+    } else if (shipping.freeThreshold) {
+        parts.push(`Free over ${format(shipping.freeThreshold)}`);
+    } else {
+        parts.push('Shipping varies');
+    }
+    
+    if (shipping.deliveryDate) {
+        // Parse as a local date; "YYYY-MM-DD" alone would be read as UTC midnight
+        const [year, month, day] = shipping.deliveryDate.split('-').map(Number);
+        parts.push(`arrives ${new Date(year, month - 1, day).toLocaleDateString(undefined, {
+            weekday: 'short', month: 'short', day: 'numeric'
+        })}`);
+    }
+    if (shipping.postcodeMatches === false) {
+        parts.push('(not your postcode)');
+    }
+    
+    return parts.join(' · ');
+}
+
 function showNotification(message, type = 'info') {
     // Create notification element
     const notification = document.createElement('div');
@@ -0,0 +1,278 @@
+/**
+ * ToolScout Price Parser
+ * Turns retailer price text into amounts: detects the decimal separator,
+ * understands ranges and "from" prices, skips was/list prices and rejects
+ * text that is not a price. Reference cases live in fixtures/price-strings.json.
+ */
+
+// Longest markers first so "US$" wins over "$"
+const PRICE_CURRENCY_MARKERS = [
+  ['CDN$', 'CAD'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['A$', 'AUD'],
+  ['US$', 'USD'],
+  ['USD', 'USD'],
+  ['CAD', 'CAD'],
+  ['AUD', 'AUD'],
+  ['EUR', 'EUR'],
+  ['GBP', 'GBP'],
+  ['JPY', 'JPY'],
+  ['INR', 'INR'],
+  ['Rs.', 'INR'],
+  ['Rs', 'INR'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['￥', 'JPY'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['$', null]   // Ambiguous: resolved from the caller's currency hint
+];
+
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD'];
+
+// Words that may surround a bare number in a price element
+const PRICE_FILLER_WORDS = /\b(?:from|starting\s+at|only|now|price|each|ea|per\s+item|à\s+partir\s+de|dès|prix|ab|nur|desde|da)\b/gi;
+
+// A price preceded by one of these is a reference (was/list) price, not the selling price
+const REFERENCE_PRICE_WORDS = /(?:was|list(?:\s+price)?|rrp|msrp|reg\.?|typical(?:\s+price)?|prix\s+conseillé|avant|statt|uvp)\s*:?\s*$/i;
+
+const FROM_PRICE_WORDS = /(?:from|starting\s+at|à\s+partir\s+de|dès|ab|desde|da)\s*$/i;
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to|à|bis|a)\s*$/i;
+
+const MAX_PRICE_TEXT_LENGTH = 120;
+
+class PriceParser {
+  /**
+   * Parse price text. Returns null when the text holds no usable price.
+   *
+   * options.currency - currency to assume for "$" or unmarked amounts
+   *
+   * Result: { amount, min, max, currency, currencyDetected, isRange, isFrom, referencePrice }
+   * `amount` is the lowest selling price (the range minimum for ranges).
+   */
+  static parse(text, options = {}) {
+    if (text === null || text === undefined) return null;
+    if (typeof text === 'number') {
+      return isFinite(text) ? PriceParser.buildResult([{ amount: text, currency: null }], options) : null;
+    }
+
+    const normalized = String(text).replace(/\s+/g, ' ').trim();
+    if (!normalized || normalized.length > MAX_PRICE_TEXT_LENGTH || !/\d/.test(normalized)) {
+      return null;
+    }
+
+    const tokens = PriceParser.tokenize(normalized);
+    if (tokens.length === 0) return null;
+
+    const hasMarkers = tokens.some(token => token.marker);
+    if (!hasMarkers && !PriceParser.isBarePrice(normalized, tokens)) {
+      return null;
+    }
+
+    let referencePrice = null;
+    const selling = [];
+
+    tokens.forEach(token => {
+      const before = normalized.slice(0, token.start);
+      if (REFERENCE_PRICE_WORDS.test(before)) {
+        if (referencePrice === null) referencePrice = token.amount;
+        return;
+      }
+      selling.push(token);
+    });
+
+    if (selling.length === 0) return null;
+
+    let candidates = [selling[0]];
+    let isRange = false;
+
+    if (selling.length > 1) {
+      const between = normalized.slice(selling[0].end, selling[1].start);
+      if (RANGE_SEPARATOR.test(between) && (selling[0].marker || selling[1].marker || !hasMarkers)) {
+        candidates = [selling[0], selling[1]];
+        isRange = true;
+      }
+    }
+
+    // With currency markers present, ignore unmarked numbers unless they close a range ("$129 - 199")
+    if (hasMarkers && !candidates.some(token => token.marker)) {
+      const marked = selling.find(token => token.marker);
+      if (!marked) return null;
+      candidates = [marked];
+      isRange = false;
+    }
+
+    const result = PriceParser.buildResult(candidates, options);
+    if (!result) return null;
+
+    result.isRange = isRange;
+    result.isFrom = FROM_PRICE_WORDS.test(normalized.slice(0, candidates[0].start));
+    result.referencePrice = referencePrice;
+    return result;
+  }
+
+  /**
+   * Convenience wrapper returning just the amount (or null)
+   */
+  static parseAmount(text, options = {}) {
+    const result = PriceParser.parse(text, options);
+    return result ? result.amount : null;
+  }
+
+  /**
+   * Find the currency named in text, or null when it has no marker
+   */
+  static detectCurrency(text, hint = null) {
+    if (!text) return null;
+
+    for (const [marker, currency] of PRICE_CURRENCY_MARKERS) {
+      if (PriceParser.containsMarker(String(text), marker)) {
+        return PriceParser.resolveCurrency(currency, hint);
+      }
+    }
+    return null;
+  }
+
+  static buildResult(candidates, options) {
+    const amounts = candidates.map(token => token.amount).filter(amount => amount !== null);
+    if (amounts.length === 0) return null;
+
+    const marked = candidates.find(token => token.currency !== null || token.marker);
+    const currency = marked ? PriceParser.resolveCurrency(marked.currency, options.currency) : null;
+    const min = Math.min(...amounts);
+    const max = Math.max(...amounts);
+
+    return {
+      amount: min,
+      min,
+      max: amounts.length > 1 ? max : null,
+      currency: currency || options.currency || null,
+      currencyDetected: currency !== null,
+      isRange: false,
+      isFrom: false,
+      referencePrice: null
+    };
+  }
+
+  static resolveCurrency(currency, hint) {
+    if (currency) return currency;
+    // A bare "$" means the hinted dollar currency (CAD on homedepot.ca) or USD
+    return DOLLAR_CURRENCIES.includes(hint) ? hint : 'USD';
+  }
+
+  static containsMarker(text, marker) {
+    const escaped = marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Letter codes must stand alone ("EUR", not part of "EUROPE")
+    return /^[A-Za-z]/.test(marker)
+      ? new RegExp(`(?:^|[^A-Za-z])${escaped}(?![A-Za-z])`).test(text)
+      : text.includes(marker);
+  }
+
+  /**
+   * Split text into numeric tokens with their adjacent currency marker
+   */
+  static tokenize(text) {
+    // Groups of three digits may be separated by spaces, narrow no-break spaces or apostrophes
+    const numberPattern = /\d+(?:[.,'\u2019]\d+|[\u00a0\u202f\u2009 ](?=\d{3}(?!\d))\d{3})*/g;
+    const tokens = [];
+    let match;
+
+    while ((match = numberPattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const after = text.slice(end);
+
+      // Percentages and quantities are not prices
+      if (/^\s*%/.test(after)) continue;
+
+      const prefix = PriceParser.markerAt(text.slice(0, start), 'before');
+      const suffix = prefix ? null : PriceParser.markerAt(after, 'after');
+      const marker = prefix || suffix;
+
+      tokens.push({
+        amount: PriceParser.parseNumber(match[0]),
+        currency: marker ? marker.currency : null,
+        marker: marker !== null,
+        start: prefix ? start - prefix.length : start,
+        end: suffix ? end + suffix.length : end
+      });
+    }
+
+    return tokens.filter(token => token.amount !== null);
+  }
+
+  static markerAt(text, side) {
+    for (const [marker, currency] of PRICE_CURRENCY_MARKERS) {
+      const escaped = marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = side === 'before'
+        ? new RegExp(`(?:^|[^A-Za-z])(${escaped})\\s?$`)
+        : new RegExp(`^\\s?(${escaped})(?![A-Za-z])`);
+      const match = text.match(pattern);
+      if (match) {
+        const length = side === 'before'
+          ? text.length - text.lastIndexOf(match[1])
+          : match[0].length;
+        return { currency, length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether text without currency markers is just a number (plus filler words)
+   */
+  static isBarePrice(text, tokens) {
+    let leftover = text;
+    tokens.slice().reverse().forEach(token => {
+      leftover = leftover.slice(0, token.start) + ' ' + leftover.slice(token.end);
+    });
+
+    leftover = leftover
+      .replace(PRICE_FILLER_WORDS, ' ')
+      .replace(/[\s:*/()\-–—.,]/g, '');
+
+    return leftover.length === 0;
+  }
+
+  /**
+   * Parse a numeric token, working out which separator (if any) is the decimal mark
+   */
+  static parseNumber(token) {
+    const compact = token.replace(/[\u00a0\u202f\u2009 '\u2019]/g, '');
+    const lastDot = compact.lastIndexOf('.');
+    const lastComma = compact.lastIndexOf(',');
+    let decimalSeparator = null;
+
+    if (lastDot >= 0 && lastComma >= 0) {
+      // Both present: whichever comes last is the decimal mark (1.234,56 / 1,23,456.00)
+      decimalSeparator = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot >= 0 || lastComma >= 0) {
+      const separator = lastDot >= 0 ? '.' : ',';
+      const occurrences = compact.split(separator).length - 1;
+      const digitsAfter = compact.length - compact.lastIndexOf(separator) - 1;
+
+      // Repeated, or followed by exactly three digits: a thousands separator (¥12,800 / 1.234)
+      if (occurrences === 1 && digitsAfter !== 3) {
+        decimalSeparator = separator;
+      }
+    }
+
+    let numeric;
+    if (decimalSeparator) {
+      const groupSeparator = decimalSeparator === '.' ? ',' : '.';
+      numeric = compact.split(groupSeparator).join('').replace(decimalSeparator, '.');
+    } else {
+      numeric = compact.replace(/[.,]/g, '');
+    }
+
+    const amount = parseFloat(numeric);
+    return isFinite(amount) ? amount : null;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PriceParser;
+}
@@ -0,0 +1,211 @@
+/**
+ * ToolScout Product Catalog
+ * One entry per real-world tool, linking its listings across retailers (an
+ * Amazon ASIN, a Home Depot item, an eBay item) under shared identifiers.
+ * Listings are keyed by the background's product key; alerts and price
+ * history hang off the entry through those keys. Pure data - the background
+ * loads and saves it.
+ */
+
+class ProductCatalog {
+  /**
+   * data: the stored { entries: { id: entry } } object
+   */
+  constructor(data = {}) {
+    this.entries = { ...(data.entries || {}) };
+  }
+
+  get(id) {
+    return this.entries[id] || null;
+  }
+
+  /**
+   * Entries, most recently updated first
+   */
+  list() {
+    return Object.values(this.entries).sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  findByListing(key) {
+    if (!key) return null;
+    return Object.values(this.entries).find(entry =>
+      entry.listings.some(listing => listing.key === key)) || null;
+  }
+
+  /**
+   * The entry a new listing most confidently belongs to, or null
+   */
+  findMatch(product) {
+    let best = null;
+    for (const entry of Object.values(this.entries)) {
+      const match = ProductMatcher.score(ProductCatalog.reference(entry), product);
+      if (match.confidence === 'match' && (!best || match.score > best.score)) {
+        best = { entry, score: match.score };
+      }
+    }
+    return best?.entry || null;
+  }
+
+  /**
+   * File a listing under its entry: the one already holding it, else the one
+   * it confidently matches, else a new entry (unless options.create is false).
+   * Returns the entry, or null when nothing matched and nothing was created.
+   */
+  attach(key, product, { create = true, source = 'page' } = {}) {
+    if (!key) return null;
+
+    let entry = this.findByListing(key) || this.findMatch(product);
+    if (!entry) {
+      if (!create) return null;
+      entry = this.createEntry(product);
+    }
+
+    this.addListing(entry.id, key, product, source);
+    return entry;
+  }
+
+  /**
+   * Add or refresh a listing on a given entry. A listing already filed under
+   * another entry stays there; merging is the user's call.
+   */
+  addListing(entryId, key, product, source = 'page') {
+    const entry = this.entries[entryId];
+    if (!entry || !key) return null;
+
+    const owner = this.findByListing(key);
+    if (owner && owner.id !== entryId) return owner;
+
+    const now = Date.now();
+    const listing = entry.listings.find(item => item.key === key);
+    const price = product.comparablePrice ?? product.price;
+    const details = {
+      retailer: product.retailer || listing?.retailer || null,
+      listingId: key.includes(':') ? key.split(':').pop() : null,
+      url: product.url || listing?.url || null,
+      title: product.title || listing?.title || '',
+      price: typeof price === 'number' && price > 0 ? price : listing?.price ?? null,
+      currency: product.currency || listing?.currency || null,
+      lastSeen: now
+    };
+
+    if (listing) {
+      Object.assign(listing, details);
+    } else {
+      entry.listings.push({ key, source, addedAt: now, ...details });
+    }
+
+    ProductCatalog.fillIdentity(entry, product);
+    entry.updatedAt = now;
+    return entry;
+  }
+
+  createEntry(product) {
+    const now = Date.now();
+    const id = `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const entry = {
+      id,
+      title: product.title || '',
+      brand: null,
+      model: null,
+      upc: null,
+      voltage: null,
+      kitType: null,
+      listings: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    ProductCatalog.fillIdentity(entry, product);
+    this.entries[id] = entry;
+    return entry;
+  }
+
+  /**
+   * Move every listing of source into target and drop source
+   */
+  merge(targetId, sourceId) {
+    const target = this.entries[targetId];
+    const source = this.entries[sourceId];
+    if (!target || !source) throw new Error('Catalog entry not found');
+    if (targetId === sourceId) throw new Error('Cannot merge an entry into itself');
+
+    target.listings.push(...source.listings);
+    ['brand', 'model', 'upc', 'voltage', 'kitType'].forEach(field => {
+      if (target[field] === null || target[field] === undefined) target[field] = source[field];
+    });
+    target.createdAt = Math.min(target.createdAt, source.createdAt);
+    target.updatedAt = Date.now();
+    delete this.entries[sourceId];
+    return target;
+  }
+
+  /**
+   * Move one listing out of an entry into a new entry of its own
+   */
+  split(entryId, key) {
+    const entry = this.entries[entryId];
+    if (!entry) throw new Error('Catalog entry not found');
+
+    const index = entry.listings.findIndex(listing => listing.key === key);
+    if (index === -1) throw new Error('Listing not found in catalog entry');
+    if (entry.listings.length === 1) throw new Error('Entry has only one listing');
+
+    const [listing] = entry.listings.splice(index, 1);
+    const split = this.createEntry({ title: listing.title });
+    split.listings.push(listing);
+
+    // Name the entry after a listing it still has
+    entry.title = entry.listings[0].title || entry.title;
+    entry.updatedAt = Date.now();
+    return split;
+  }
+
+  /**
+   * Keep the most recently updated entries, never dropping protected ones
+   * (those with alerts)
+   */
+  prune(maxEntries, protectedIds = new Set()) {
+    const removable = this.list().filter(entry => !protectedIds.has(entry.id));
+    const excess = Object.keys(this.entries).length - maxEntries;
+    if (excess <= 0) return;
+    removable.slice(-excess).forEach(entry => delete this.entries[entry.id]);
+  }
+
+  toJSON() {
+    return { entries: this.entries };
+  }
+
+  /**
+   * An entry as a ProductMatcher reference
+   */
+  static reference(entry) {
+    return {
+      title: entry.title,
+      attributes: {
+        brand: entry.brand,
+        model: entry.model,
+        upc: entry.upc,
+        voltage: entry.voltage,
+        kitType: entry.kitType
+      }
+    };
+  }
+
+  /**
+   * Fill identifiers the entry does not have yet from a listing
+   */
+  static fillIdentity(entry, product) {
+    const identity = ProductMatcher.describe(product);
+    ['brand', 'model', 'upc', 'voltage', 'kitType'].forEach(field => {
+      if ((entry[field] === null || entry[field] === undefined) && identity[field]) {
+        entry[field] = identity[field];
+      }
+    });
+    if (!entry.title) entry.title = identity.title;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductCatalog;
+}
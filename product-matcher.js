@@ -0,0 +1,188 @@
+/**
+ * ToolScout Product Matcher
+ * Scores how likely a candidate listing is the same product as a tracked one,
+ * from GTIN, model number, brand, voltage, kit vs bare tool and title tokens.
+ * Accessories, chargers and batteries for a tool score low.
+ */
+
+const MATCH_THRESHOLD = 0.7;      // At or above: treated as the same product
+const POSSIBLE_THRESHOLD = 0.45;  // At or above: shown as a possible match
+
+// Listings for things that go with a tool rather than the tool itself
+const ACCESSORY_PATTERN = /\b(?:case|bag|holster|belt\s+clip|cover|skin|sticker|decal|replacement|spare|parts?|repair|adapter|mount|holder|stand|charger|battery|batteries|blades?|bits?|accessor(?:y|ies)|compatible|fits|for\s+use\s+with|housing|switch|brushes|chuck|manual|étui|housse|chargeur|batterie|lame|ersatz|tasche|ladegerät)\b/i;
+
+// What a kit ships with, so not a sign of an accessory when both sides are kits
+const KIT_CONTENTS_PATTERN = /^(?:batter(?:y|ies)|batterie|charger|chargeur|ladegerät|case|bag|tasche)$/i;
+
+const MATCH_STOPWORDS = new Set([
+  'the', 'and', 'with', 'for', 'in', 'of', 'a', 'an', 'to', 'new', 'free', 'shipping',
+  'tool', 'tools', 'power', 'cordless', 'brushless', 'kit', 'only', 'pack', 'set',
+  'de', 'la', 'le', 'les', 'et', 'avec', 'sans', 'mit', 'und', 'für'
+]);
+
+class ProductMatcher {
+  /**
+   * Score a candidate against the tracked product.
+   *
+   * Both sides: { title, brand, model, upc|gtin, voltage, kitType, attributes }
+   * Missing attributes are read from the title.
+   *
+   * Result: { score (0-1), confidence: 'match'|'possible'|'none', reasons: [] }
+   */
+  static score(reference, candidate) {
+    const ref = ProductMatcher.describe(reference);
+    const cand = ProductMatcher.describe(candidate);
+    const reasons = [];
+
+    // A shared barcode settles it either way
+    if (ref.upc && cand.upc) {
+      const same = ref.upc.replace(/^0+/, '') === cand.upc.replace(/^0+/, '');
+      reasons.push(same ? 'gtin' : 'gtin-mismatch');
+      return ProductMatcher.result(same ? 1 : 0.05, reasons);
+    }
+
+    // Near-identical titles from the same brand are a match without a model
+    // number; one differing word in a short title ("circular" vs
+    // "reciprocating") leaves it a possible match
+    const similarity = ProductMatcher.tokenSimilarity(ref.title, cand.title);
+    let score = similarity * 0.6;
+
+    if (ref.model && cand.model) {
+      if (ProductMatcher.sameModel(ref.model, cand.model)) {
+        score += 0.45;
+        reasons.push('model');
+      } else {
+        score -= 0.35;
+        reasons.push('model-mismatch');
+      }
+    } else if (ref.model && ProductMatcher.mentionsModel(cand.title, ref.model)) {
+      score += 0.35;
+      reasons.push('model-in-title');
+    }
+
+    if (ref.brand && cand.brand) {
+      if (ref.brand.toLowerCase() === cand.brand.toLowerCase()) {
+        score += 0.15;
+        reasons.push('brand');
+      } else {
+        score -= 0.5;
+        reasons.push('brand-mismatch');
+      }
+    }
+
+    if (ref.voltage && cand.voltage) {
+      if (ref.voltage === cand.voltage) {
+        score += 0.05;
+      } else {
+        score -= 0.3;
+        reasons.push('voltage-mismatch');
+      }
+    }
+
+    // A bare tool and the same tool in a kit are different purchases
+    if (ref.kitType && cand.kitType && ref.kitType !== cand.kitType) {
+      score -= 0.4;
+      reasons.push('kit-mismatch');
+    }
+
+    const bothKits = ref.kitType === 'kit' && cand.kitType === 'kit';
+    if (ProductMatcher.isAccessoryFor(ref.title, cand.title, bothKits)) {
+      score -= 0.5;
+      reasons.push('accessory');
+    }
+
+    return ProductMatcher.result(score, reasons);
+  }
+
+  /**
+   * Keep candidates at or above the possible-match threshold, best first,
+   * each annotated with its match result
+   */
+  static rank(reference, candidates) {
+    return candidates
+      .map(candidate => ({ ...candidate, match: ProductMatcher.score(reference, candidate) }))
+      .filter(candidate => candidate.match.score >= POSSIBLE_THRESHOLD)
+      .sort((a, b) => b.match.score - a.match.score);
+  }
+
+  static result(score, reasons) {
+    const clamped = Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
+    let confidence = 'none';
+    if (clamped >= MATCH_THRESHOLD) confidence = 'match';
+    else if (clamped >= POSSIBLE_THRESHOLD) confidence = 'possible';
+    return { score: clamped, confidence, reasons };
+  }
+
+  /**
+   * Fill a product's identifying attributes from its title where missing
+   */
+  static describe(product) {
+    const attributes = product.attributes || {};
+    const title = product.title || product.productTitle || '';
+    const fromTitle = ToolAttributes.extract({
+      title, brand: product.brand, mpn: product.mpn || product.model, gtin: product.gtin || product.upc
+    });
+
+    return {
+      title,
+      brand: attributes.brand || fromTitle.brand,
+      model: attributes.model || fromTitle.model,
+      upc: ToolAttributes.normalizeUpc(attributes.upc) || fromTitle.upc,
+      voltage: attributes.voltage ?? fromTitle.voltage,
+      kitType: attributes.kitType || fromTitle.kitType
+    };
+  }
+
+  static normalizeModel(model) {
+    return String(model).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  static sameModel(a, b) {
+    return ProductMatcher.normalizeModel(a) === ProductMatcher.normalizeModel(b);
+  }
+
+  static mentionsModel(title, model) {
+    const normalized = ProductMatcher.normalizeModel(model);
+    return normalized.length >= 4 && ProductMatcher.normalizeModel(title).includes(normalized);
+  }
+
+  /**
+   * Accessory words in the candidate that the tracked product's own title lacks
+   * ("M18 battery" is a match for a battery, not for a drill)
+   */
+  static isAccessoryFor(referenceTitle, candidateTitle, bothKits = false) {
+    const words = String(candidateTitle).match(new RegExp(ACCESSORY_PATTERN.source, 'gi')) || [];
+    return words
+      .filter(word => !(bothKits && KIT_CONTENTS_PATTERN.test(word)))
+      .some(word => !new RegExp(`\\b${word}\\b`, 'i').test(referenceTitle));
+  }
+
+  /**
+   * Dice coefficient over significant title tokens
+   */
+  static tokenSimilarity(a, b) {
+    const tokensA = ProductMatcher.tokenize(a);
+    const tokensB = ProductMatcher.tokenize(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let shared = 0;
+    tokensA.forEach(token => {
+      if (tokensB.has(token)) shared++;
+    });
+    return (2 * shared) / (tokensA.size + tokensB.size);
+  }
+
+  static tokenize(text) {
+    return new Set(String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9àâäçéèêëîïôöùûüß.\s-]/g, ' ')
+      .split(/[\s-]+/)
+      .map(token => token.replace(/^\.+|\.+$/g, ''))
+      .filter(token => token.length > 1 && !MATCH_STOPWORDS.has(token)));
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProductMatcher, MATCH_THRESHOLD, POSSIBLE_THRESHOLD };
+}
@@ -0,0 +1,508 @@
+/**
+ * ToolScout Retailer Providers
+ * One provider per retailer for cross-retailer comparison. Each provider's
+ * search(query, options) returns normalized results; ProviderRegistry runs
+ * the enabled providers in parallel, each with its own timeout, and reports
+ * which ones succeeded. Base URLs and fetch can be overridden to point a
+ * provider at a local stub server.
+ */
+
+const PROVIDER_DEFAULT_TIMEOUT = 8000;
+const PROVIDER_DEFAULT_LIMIT = 5;
+const PROVIDER_CACHE_DURATION = 10 * 60 * 1000;
+
+// Retailer search pages answer bots with a captcha instead of results
+const CAPTCHA_PAGE_PATTERN = /captcha|robot check|automated access/i;
+
+class ProviderTimeoutError extends Error {
+  constructor(retailer, timeout) {
+    super(`${retailer} did not respond within ${timeout}ms`);
+    this.name = 'ProviderTimeoutError';
+  }
+}
+
+class RetailerProvider {
+  /**
+   * options.baseUrl  - retailer origin (a stub server in tests)
+   * options.fetch    - fetch implementation
+   * options.timeout  - per-search timeout in milliseconds
+   */
+  constructor(retailer, settingKey, options = {}) {
+    this.retailer = retailer;
+    this.settingKey = settingKey;
+    this.baseUrl = (options.baseUrl || this.constructor.DEFAULT_BASE_URL || '').replace(/\/$/, '');
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.timeout = options.timeout || PROVIDER_DEFAULT_TIMEOUT;
+    this.currency = options.currency || 'USD';
+  }
+
+  /**
+   * Search the retailer. Resolves to normalized results; rejects on any failure.
+   * options: { limit, postcode, condition, marketplace, signal }
+   * condition only applies where the retailer sells used items; null is any.
+   * marketplace picks the site of retailers with one per country (eBay).
+   */
+  async search(query, options = {}) {
+    throw new Error(`${this.retailer} provider does not implement search`);
+  }
+
+  /**
+   * The result shape every provider returns
+   */
+  normalize(item) {
+    const price = typeof item.price === 'number' ? item.price : PriceParser.parseAmount(item.price, { currency: this.currency });
+
+    return {
+      retailer: this.retailer,
+      title: RetailerProvider.decodeEntities(item.title || '').trim(),
+      price: price,
+      currency: item.currency || this.currency,
+      url: RetailerProvider.resolveUrl(item.url, this.baseUrl),
+      image: item.image || null,
+      inStock: item.inStock ?? null,
+      shipping: item.shipping ?? null,
+      condition: item.condition || 'New'
+    };
+  }
+
+  /**
+   * Drop results without a usable title, price or link
+   */
+  finish(items, limit) {
+    return items
+      .map(item => this.normalize(item))
+      .filter(item => item.title && item.price > 0 && item.url)
+      .slice(0, limit || PROVIDER_DEFAULT_LIMIT);
+  }
+
+  async fetchText(url, init = {}) {
+    const response = await this.fetch(url, init);
+    if (!response.ok) {
+      throw new Error(`${this.retailer} returned HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  async fetchJson(url, init = {}) {
+    const response = await this.fetch(url, init);
+    if (!response.ok) {
+      throw new Error(`${this.retailer} returned HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Product nodes from a page's JSON-LD blocks, including ItemList entries
+   */
+  static extractJsonLdProducts(html) {
+    const products = [];
+    const scripts = html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+
+    const visit = node => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      const type = [].concat(node['@type'] || []);
+      if (type.includes('Product')) {
+        products.push(node);
+        return;
+      }
+      visit(node['@graph']);
+      visit(node.itemListElement);
+      visit(node.item);
+    };
+
+    for (const [, json] of scripts) {
+      try {
+        visit(JSON.parse(json));
+      } catch (error) {
+        // Skip malformed blocks; other blocks on the page may still parse
+      }
+    }
+    return products;
+  }
+
+  /**
+   * Absolute URL of a result link; empty for a missing or malformed one, so
+   * finish() drops that result and keeps the rest
+   */
+  static resolveUrl(url, baseUrl) {
+    if (!url) return '';
+    try {
+      return new URL(url, baseUrl).toString();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  static decodeEntities(text) {
+    return String(text)
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;|&#160;/g, ' ')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;|&#x27;|&apos;/g, '\'')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ');
+  }
+}
+
+// =================================================================================================
+// PROVIDERS
+// =================================================================================================
+
+/**
+ * Amazon search results page. There is no JSON on the page, so tiles are
+ * read from the markup the listing selector pack also targets.
+ */
+class AmazonProvider extends RetailerProvider {
+  static DEFAULT_BASE_URL = 'https://www.amazon.com';
+
+  constructor(options = {}) {
+    super('amazon', 'enableAmazon', options);
+  }
+
+  async search(query, options = {}) {
+    const url = `${this.baseUrl}/s?${new URLSearchParams({ k: query })}`;
+    const html = await this.fetchText(url, { signal: options.signal, credentials: 'omit' });
+    if (CAPTCHA_PAGE_PATTERN.test(html) && !html.includes('s-search-result')) {
+      throw new Error('amazon answered with a captcha page');
+    }
+    return this.finish(AmazonProvider.parseSearchPage(html), options.limit);
+  }
+
+  static parseSearchPage(html) {
+    return html.split(/(?=<div[^>]+data-component-type="s-search-result")/).slice(1).map(tile => {
+      const asin = tile.match(/data-asin="([A-Z0-9]{10})"/)?.[1];
+      const image = tile.match(/<img[^>]*class="s-image"[^>]*>/)?.[0];
+
+      return {
+        title: tile.match(/<h2[^>]*>([\s\S]*?)<\/h2>/)?.[1],
+        // The first whole price; struck-through list prices carry a-text-price
+        price: tile.match(/<span class="a-price"[^>]*>\s*<span class="a-offscreen">([^<]+)<\/span>/)?.[1],
+        url: asin ? `/dp/${asin}` : null,
+        image: image?.match(/src="([^"]+)"/)?.[1] || null
+      };
+    });
+  }
+}
+
+/**
+ * Home Depot's storefront GraphQL search
+ */
+class HomeDepotProvider extends RetailerProvider {
+  static DEFAULT_BASE_URL = 'https://www.homedepot.com';
+
+  static QUERY = `query searchModel($keyword: String, $storeId: String, $pageSize: Int) {
+    searchModel(keyword: $keyword, storeId: $storeId) {
+      products(pageSize: $pageSize) {
+        itemId
+        identifiers { productLabel brandName canonicalUrl }
+        pricing { value }
+        media { images { url } }
+        availabilityType { discontinued }
+      }
+    }
+  }`;
+
+  constructor(options = {}) {
+    super('homedepot', 'enableHomeDepot', options);
+  }
+
+  async search(query, options = {}) {
+    const data = await this.fetchJson(`${this.baseUrl}/federation-gateway/graphql?opname=searchModel`, {
+      method: 'POST',
+      signal: options.signal,
+      credentials: 'omit',
+      headers: {
+        'content-type': 'application/json',
+        'x-experience-name': 'general-merchandise'
+      },
+      body: JSON.stringify({
+        operationName: 'searchModel',
+        variables: { keyword: query, storeId: options.storeId || null, pageSize: options.limit || PROVIDER_DEFAULT_LIMIT },
+        query: HomeDepotProvider.QUERY
+      })
+    });
+
+    if (data.errors?.length && !data.data) {
+      throw new Error(`homedepot: ${data.errors[0].message}`);
+    }
+
+    const products = data.data?.searchModel?.products || [];
+    return this.finish(products.map(product => ({
+      title: [product.identifiers?.brandName, product.identifiers?.productLabel].filter(Boolean).join(' '),
+      price: product.pricing?.value,
+      url: product.identifiers?.canonicalUrl,
+      image: product.media?.images?.[0]?.url?.replace('<SIZE>', '300') || null,
+      inStock: product.availabilityType?.discontinued ? false : null
+    })), options.limit);
+  }
+}
+
+/**
+ * A search page that lists its results as JSON-LD products. Subclasses only
+ * say where the search page is.
+ */
+class JsonLdSearchProvider extends RetailerProvider {
+  searchUrl(query) {
+    throw new Error(`${this.retailer} provider has no search page`);
+  }
+
+  async search(query, options = {}) {
+    const html = await this.fetchText(this.searchUrl(query), { signal: options.signal, credentials: 'omit' });
+    const products = RetailerProvider.extractJsonLdProducts(html);
+    if (products.length === 0 && CAPTCHA_PAGE_PATTERN.test(html)) {
+      throw new Error(`${this.retailer} answered with a captcha page`);
+    }
+
+    return this.finish(products.map(product => {
+      const offer = [].concat(product.offers || [])[0] || {};
+      const availability = String(offer.availability || '');
+      const image = [].concat(product.image || [])[0] || null;
+      return {
+        title: product.name,
+        price: offer.price ?? offer.lowPrice,
+        currency: offer.priceCurrency,
+        url: product.url || offer.url,
+        image: typeof image === 'object' && image !== null ? image.url || null : image,
+        inStock: availability ? /InStock|LimitedAvailability/i.test(availability) : null
+      };
+    }), options.limit);
+  }
+}
+
+/**
+ * Lowe's search page
+ */
+class LowesProvider extends JsonLdSearchProvider {
+  static DEFAULT_BASE_URL = 'https://www.lowes.com';
+
+  constructor(options = {}) {
+    super('lowes', 'enableLowes', options);
+  }
+
+  searchUrl(query) {
+    return `${this.baseUrl}/search?${new URLSearchParams({ searchTerm: query })}`;
+  }
+}
+
+/**
+ * Screwfix search page
+ */
+class ScrewfixProvider extends JsonLdSearchProvider {
+  static DEFAULT_BASE_URL = 'https://www.screwfix.com';
+
+  constructor(options = {}) {
+    super('screwfix', 'enableScrewfix', { currency: 'GBP', ...options });
+  }
+
+  searchUrl(query) {
+    return `${this.baseUrl}/search?${new URLSearchParams({ search: query })}`;
+  }
+}
+
+/**
+ * Toolstation search page
+ */
+class ToolstationProvider extends JsonLdSearchProvider {
+  static DEFAULT_BASE_URL = 'https://www.toolstation.com';
+
+  constructor(options = {}) {
+    super('toolstation', 'enableToolstation', { currency: 'GBP', ...options });
+  }
+
+  searchUrl(query) {
+    return `${this.baseUrl}/search?${new URLSearchParams({ q: query })}`;
+  }
+}
+
+/**
+ * Leroy Merlin search page
+ */
+class LeroyMerlinProvider extends JsonLdSearchProvider {
+  static DEFAULT_BASE_URL = 'https://www.leroymerlin.fr';
+
+  constructor(options = {}) {
+    super('leroymerlin', 'enableLeroyMerlin', { currency: 'EUR', ...options });
+  }
+
+  searchUrl(query) {
+    return `${this.baseUrl}/resultats/?${new URLSearchParams({ q: query })}`;
+  }
+}
+
+/**
+ * Castorama search page
+ */
+class CastoramaProvider extends JsonLdSearchProvider {
+  static DEFAULT_BASE_URL = 'https://www.castorama.fr';
+
+  constructor(options = {}) {
+    super('castorama', 'enableCastorama', { currency: 'EUR', ...options });
+  }
+
+  searchUrl(query) {
+    return `${this.baseUrl}/search?${new URLSearchParams({ term: query })}`;
+  }
+}
+
+/**
+ * Brico Dépôt search page
+ */
+class BricoDepotProvider extends JsonLdSearchProvider {
+  static DEFAULT_BASE_URL = 'https://www.bricodepot.fr';
+
+  constructor(options = {}) {
+    super('bricodepot', 'enableBricoDepot', { currency: 'EUR', ...options });
+  }
+
+  searchUrl(query) {
+    return `${this.baseUrl}/catalogue/recherche/?${new URLSearchParams({ q: query })}`;
+  }
+}
+
+/**
+ * ManoMano search page; the query is part of the path
+ */
+class ManoManoProvider extends JsonLdSearchProvider {
+  static DEFAULT_BASE_URL = 'https://www.manomano.fr';
+
+  constructor(options = {}) {
+    super('manomano', 'enableManoMano', { currency: 'EUR', ...options });
+  }
+
+  searchUrl(query) {
+    return `${this.baseUrl}/recherche/${encodeURIComponent(query)}`;
+  }
+}
+
+/**
+ * eBay through the background's API client, which already normalizes results
+ */
+class EbayProvider extends RetailerProvider {
+  constructor(client, options = {}) {
+    super('ebay', 'enableEbay', options);
+    this.client = client;
+  }
+
+  async search(query, options = {}) {
+    const items = await this.client.searchTools(query, {
+      limit: options.limit || PROVIDER_DEFAULT_LIMIT,
+      condition: options.condition === undefined ? 'New' : options.condition,
+      sortBy: 'PricePlusShippingLowest',
+      postcode: options.postcode || null,
+      marketplace: options.marketplace || null,
+      strict: true,
+      signal: options.signal
+    });
+    return items.slice(0, options.limit || PROVIDER_DEFAULT_LIMIT);
+  }
+}
+
+// =================================================================================================
+// REGISTRY
+// =================================================================================================
+
+class ProviderRegistry {
+  constructor(providers = []) {
+    this.providers = providers;
+    this.cache = new Map();
+  }
+
+  /**
+   * Providers the shopper has not switched off in the options page
+   */
+  enabled(settings = {}) {
+    return this.providers.filter(provider => settings[provider.settingKey] !== false);
+  }
+
+  /**
+   * Run every enabled provider in parallel. One provider failing or timing out
+   * never affects the others.
+   *
+   * Result: { results, providers: [{ retailer, status, count, error, duration }] }
+   * status is 'ok', 'error', 'timeout' or 'disabled'.
+   */
+  async searchAll(query, options = {}, settings = {}) {
+    const enabled = this.enabled(settings);
+
+    const outcomes = await Promise.all(this.providers.map(async provider => {
+      if (!enabled.includes(provider)) {
+        return { retailer: provider.retailer, status: 'disabled', count: 0, error: null, duration: 0, results: [] };
+      }
+
+      const started = Date.now();
+      try {
+        const results = await this.runProvider(provider, query, options);
+        return { retailer: provider.retailer, status: 'ok', count: results.length, error: null, duration: Date.now() - started, results };
+      } catch (error) {
+        console.warn(`[ToolScout] ${provider.retailer} provider failed:`, error.message);
+        return {
+          retailer: provider.retailer,
+          status: error instanceof ProviderTimeoutError ? 'timeout' : 'error',
+          count: 0,
+          error: error.message,
+          duration: Date.now() - started,
+          results: []
+        };
+      }
+    }));
+
+    return {
+      results: outcomes.flatMap(outcome => outcome.results),
+      providers: outcomes.map(({ results, ...status }) => status)
+    };
+  }
+
+  async runProvider(provider, query, options) {
+    const cacheKey = `${provider.retailer}|${query}|${options.limit || ''}|${options.postcode || ''}|${options.condition || ''}|${options.marketplace || ''}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < PROVIDER_CACHE_DURATION) {
+      return cached.results;
+    }
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new ProviderTimeoutError(provider.retailer, provider.timeout));
+      }, provider.timeout);
+    });
+
+    try {
+      const results = await Promise.race([
+        provider.search(query, { ...options, signal: controller.signal }),
+        timeout
+      ]);
+      this.cache.set(cacheKey, { results, timestamp: Date.now() });
+      return results;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RetailerProvider,
+    AmazonProvider,
+    HomeDepotProvider,
+    JsonLdSearchProvider,
+    LowesProvider,
+    ScrewfixProvider,
+    ToolstationProvider,
+    LeroyMerlinProvider,
+    CastoramaProvider,
+    BricoDepotProvider,
+    ManoManoProvider,
+    EbayProvider,
+    ProviderRegistry,
+    ProviderTimeoutError
+  };
+}
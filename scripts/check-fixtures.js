@@ -0,0 +1,65 @@
+/**
+ * ToolScout Fixture Checks
+ * Runs the reference cases in fixtures/ against the parsers and the product
+ * matcher and reports every case whose result differs from the expected one.
+ * Only the fields a case lists are compared. Exits non-zero on any failure.
+ *
+ *   node scripts/check-fixtures.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PriceParser = require('../price-parser.js');
+const ToolAttributes = require('../tool-attributes.js');
+
+// The matcher reads ToolAttributes as a global, as the service worker loads it
+global.ToolAttributes = ToolAttributes;
+const { ProductMatcher } = require('../product-matcher.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Each fixture file and how to get the actual result for one of its cases
+const FIXTURE_CHECKS = [
+  ['price-strings.json', testCase => PriceParser.parse(testCase.input, testCase.options)],
+  ['tool-titles.json', testCase => ToolAttributes.extract({ title: testCase.input })],
+  ['product-pairs.json', testCase => ProductMatcher.score(testCase.reference, testCase.candidate)]
+];
+
+function describeCase(testCase) {
+  return testCase.input !== undefined ?
+    JSON.stringify(testCase.input) :
+    `${JSON.stringify(testCase.reference.title)} vs ${JSON.stringify(testCase.candidate.title)}`;
+}
+
+/**
+ * Whether actual has every field expected lists, with equal values
+ */
+function matchesExpected(actual, expected) {
+  if (expected === null || typeof expected !== 'object') {
+    return actual === expected;
+  }
+  if (actual === null || typeof actual !== 'object') return false;
+  return Object.keys(expected).every(key => matchesExpected(actual[key], expected[key]));
+}
+
+function runFixture(file, run) {
+  const { cases } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+  let failures = 0;
+
+  cases.forEach(testCase => {
+    const actual = run(testCase);
+    if (!matchesExpected(actual, testCase.expected)) {
+      failures++;
+      console.error(`✗ ${file}: ${describeCase(testCase)}`);
+      console.error(`    expected ${JSON.stringify(testCase.expected)}`);
+      console.error(`    got      ${JSON.stringify(actual)}`);
+    }
+  });
+
+  console.log(`${failures ? '✗' : '✓'} ${file}: ${cases.length - failures}/${cases.length} passed`);
+  return failures;
+}
+
+const failures = FIXTURE_CHECKS.reduce((total, [file, run]) => total + runFixture(file, run), 0);
+process.exitCode = failures ? 1 : 0;
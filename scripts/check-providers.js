@@ -0,0 +1,365 @@
+/**
+ * ToolScout Provider Checks
+ * Runs the retailer providers and the eBay API client against a local stub
+ * server that answers with the saved pages in fixtures/provider-pages/, and
+ * checks the requests they make and the results they read back. Exits
+ * non-zero on any failure.
+ *
+ *   node scripts/check-providers.js
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// The providers read PriceParser as a global, as the service worker loads it
+global.PriceParser = require('../price-parser.js');
+const providers = require('../retailer-providers.js');
+const { EbayAPI } = require('../ebay-api.js');
+
+// The modules log every failure and fallback; only check results are printed
+const print = console.log;
+const printError = console.error;
+console.log = console.warn = console.error = () => {};
+
+const PAGES_DIR = path.join(__dirname, '..', 'fixtures', 'provider-pages');
+
+// =================================================================================================
+// STUB SERVER
+// =================================================================================================
+
+// Each provider gets its own path prefix, so /lowes/search and /screwfix/search
+// can both be served
+const requests = [];
+
+function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://stub');
+  const retailer = url.pathname.split('/')[1];
+  requests.push({ retailer, method: req.method, url, headers: req.headers });
+
+  if (retailer === 'ebay') {
+    handleEbayRequest(req, res, url);
+    return;
+  }
+
+  if (/captcha/.test(url.search + url.pathname)) {
+    res.writeHead(200, { 'content-type': 'text/html' });
+    res.end('<html><body>Robot check: please solve the captcha</body></html>');
+    return;
+  }
+
+  const file = fs.readdirSync(PAGES_DIR).find(name => name.replace(/\.\w+$/, '') === retailer);
+  if (!file) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+  res.writeHead(200, { 'content-type': file.endsWith('.json') ? 'application/json' : 'text/html' });
+  res.end(fs.readFileSync(path.join(PAGES_DIR, file)));
+}
+
+function lastRequest(retailer) {
+  return requests.filter(request => request.retailer === retailer).pop();
+}
+
+// What the stub eBay API does next; each check sets what it needs
+const ebayStub = {
+  tokens: 0,           // Tokens handed out so far
+  searches: 0,         // Search requests received
+  rejectTokens: [],    // Tokens answered with 401, as if revoked
+  searchStatus: 200,
+  searchDelay: 0,
+  aborted: false       // Whether a delayed search was dropped by the client
+};
+
+function handleEbayRequest(req, res, url) {
+  if (url.pathname === '/ebay/identity/v1/oauth2/token') {
+    ebayStub.tokens++;
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ access_token: `token-${ebayStub.tokens}`, expires_in: 7200, token_type: 'Application Access Token' }));
+    return;
+  }
+
+  ebayStub.searches++;
+  const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+  const respond = () => {
+    if (ebayStub.rejectTokens.includes(token) || ebayStub.rejectTokens.includes('*')) {
+      res.writeHead(401);
+      res.end();
+    } else if (ebayStub.searchStatus !== 200) {
+      res.writeHead(ebayStub.searchStatus);
+      res.end();
+    } else {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(fs.readFileSync(path.join(PAGES_DIR, 'ebay.json')));
+    }
+  };
+
+  if (!ebayStub.searchDelay) {
+    respond();
+    return;
+  }
+  const timer = setTimeout(respond, ebayStub.searchDelay);
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      ebayStub.aborted = true;
+      clearTimeout(timer);
+    }
+  });
+}
+
+function resetEbayStub() {
+  Object.assign(ebayStub, { tokens: 0, searches: 0, rejectTokens: [], searchStatus: 200, searchDelay: 0, aborted: false });
+}
+
+// =================================================================================================
+// CHECKS
+// =================================================================================================
+
+/**
+ * Each provider's search page: the request it makes and the results it reads
+ */
+const PROVIDER_CASES = [
+  {
+    Provider: providers.AmazonProvider,
+    path: '/amazon/s',
+    params: { k: 'dewalt drill' },
+    expected: [
+      { title: 'DEWALT 20V MAX Cordless Drill/Driver Kit (DCD771C2)', price: 99, currency: 'USD', url: '/dp/B00ET5VMTU', image: 'https://m.media-amazon.com/images/I/drill.jpg' },
+      { title: 'DEWALT 20V MAX Battery & Charger', price: 1049.99, currency: 'USD', url: '/dp/B07QXMNF1X', image: null }
+    ]
+  },
+  {
+    Provider: providers.HomeDepotProvider,
+    path: '/homedepot/federation-gateway/graphql',
+    method: 'POST',
+    expected: [
+      { title: 'DEWALT 20V MAX Cordless Drill/Driver Kit', price: 99, currency: 'USD', url: '/p/DEWALT-20V-MAX-Drill-Driver-Kit-DCD771C2/204279858', image: 'https://images.thdstatic.com/productImages/drill_300.jpg', inStock: null }
+    ]
+  },
+  {
+    Provider: providers.LowesProvider,
+    path: '/lowes/search',
+    params: { searchTerm: 'dewalt drill' },
+    expected: [
+      { title: 'DEWALT 20-Volt Max 1/2-in Cordless Drill', price: 99, currency: 'USD', url: '/pd/DEWALT-20V-Drill/1000191169', image: 'https://mobileimages.lowes.com/drill.jpg', inStock: true }
+    ]
+  },
+  {
+    // The zero-priced case in the list is dropped
+    Provider: providers.ScrewfixProvider,
+    path: '/screwfix/search',
+    params: { search: 'dewalt drill' },
+    expected: [
+      { title: 'Makita DHP482Z 18V LXT Combi Drill - Bare', price: 59.99, currency: 'GBP', url: 'https://www.screwfix.com/p/makita-dhp482z/5453F', image: 'https://media.screwfix.com/is/image/ae235/5453F_P', inStock: true }
+    ]
+  },
+  {
+    Provider: providers.ToolstationProvider,
+    path: '/toolstation/search',
+    params: { q: 'dewalt drill' },
+    expected: [
+      { title: 'Bosch GSB 18V-21 Combi Drill', price: 89.98, currency: 'GBP', url: '/bosch-gsb-18v-21/p12345', image: null, inStock: false }
+    ]
+  },
+  {
+    Provider: providers.LeroyMerlinProvider,
+    path: '/leroymerlin/resultats/',
+    params: { q: 'dewalt drill' },
+    expected: [
+      { title: 'Perceuse visseuse sans fil DEXTER 18V', price: 49.9, currency: 'EUR', url: '/produits/perceuse-dexter-18v-82123456.html', inStock: true }
+    ]
+  },
+  {
+    // A malformed link drops that result only; a broken JSON-LD block is skipped
+    Provider: providers.CastoramaProvider,
+    path: '/castorama/search',
+    params: { term: 'dewalt drill' },
+    expected: [
+      { title: 'Perceuse visseuse sans fil MacAllister 18V', price: 59, currency: 'EUR', url: '/perceuse-macallister-18v/3663602431234_CAFR.prd', inStock: true }
+    ]
+  },
+  {
+    Provider: providers.BricoDepotProvider,
+    path: '/bricodepot/catalogue/recherche/',
+    params: { q: 'dewalt drill' },
+    expected: [
+      { title: 'Perceuse visseuse Titan 18 V', price: 39.9, currency: 'EUR', url: 'https://www.bricodepot.fr/catalogue/perceuse-titan-18v/prod12345/', inStock: true }
+    ]
+  },
+  {
+    Provider: providers.ManoManoProvider,
+    path: '/manomano/recherche/dewalt%20drill',
+    expected: [
+      { title: 'Perceuse visseuse Makita DDF485Z 18V & coffret', price: 89.9, currency: 'EUR', url: 'https://www.manomano.fr/p/makita-ddf485z-12345678', image: 'https://cdn.manomano.com/ddf485z.jpg', inStock: true }
+    ]
+  }
+];
+
+function providerChecks(origin) {
+  const checks = PROVIDER_CASES.map(testCase => [testCase.Provider.name, async () => {
+    const retailer = testCase.path.split('/')[1];
+    const provider = new testCase.Provider({ baseUrl: `${origin}/${retailer}` });
+    const results = await provider.search('dewalt drill');
+
+    const request = lastRequest(retailer);
+    assert.equal(request.method, testCase.method || 'GET');
+    assert.equal(request.url.pathname, testCase.path);
+    Object.entries(testCase.params || {}).forEach(([name, value]) => {
+      assert.equal(request.url.searchParams.get(name), value, `query parameter ${name}`);
+    });
+
+    assert.equal(results.length, testCase.expected.length, 'result count');
+    testCase.expected.forEach((expected, index) => {
+      const actual = results[index];
+      assert.equal(actual.retailer, provider.retailer);
+      Object.entries(expected).forEach(([field, value]) => {
+        const wanted = field === 'url' && value.startsWith('/') ? `${origin}${value}` : value;
+        assert.deepEqual(actual[field], wanted, `${field} of result ${index + 1}`);
+      });
+    });
+  }]);
+
+  checks.push(['captcha page is an error', async () => {
+    const provider = new providers.LowesProvider({ baseUrl: `${origin}/lowes` });
+    await assert.rejects(provider.search('captcha'), /captcha/);
+  }]);
+
+  checks.push(['registry skips disabled providers and reports failures', async () => {
+    const registry = new providers.ProviderRegistry([
+      new providers.ScrewfixProvider({ baseUrl: `${origin}/screwfix` }),
+      new providers.ToolstationProvider({ baseUrl: `${origin}/toolstation` }),
+      new providers.CastoramaProvider({ baseUrl: `${origin}/missing` })
+    ]);
+    const { results, providers: statuses } = await registry.searchAll('drill', {}, { enableToolstation: false });
+
+    assert.deepEqual(statuses.map(status => [status.retailer, status.status]),
+      [['screwfix', 'ok'], ['toolstation', 'disabled'], ['castorama', 'error']]);
+    assert.deepEqual(results.map(result => result.retailer), ['screwfix']);
+  }]);
+
+  return checks;
+}
+
+function ebayChecks(origin) {
+  const client = () => new EbayAPI({ clientId: 'app-id', clientSecret: 'cert-id', apiUrl: `${origin}/ebay` });
+
+  return [
+    ['eBay search reads Browse API results', async () => {
+      resetEbayStub();
+      const items = await client().searchTools('dewalt drill', { marketplace: 'GB', condition: 'New', strict: true });
+
+      const search = lastRequest('ebay');
+      assert.equal(search.url.pathname, '/ebay/buy/browse/v1/item_summary/search');
+      assert.equal(search.url.searchParams.get('q'), 'dewalt drill');
+      assert.equal(search.url.searchParams.get('filter'), 'conditions:{NEW}');
+      assert.equal(search.headers['x-ebay-c-marketplace-id'], 'EBAY_GB');
+      assert.equal(search.headers.authorization, 'Bearer token-1');
+
+      assert.equal(items.length, 2);
+      assert.equal(items[0].title, 'DeWalt DCD791D2 20V MAX XR Brushless Drill Kit');
+      assert.equal(items[0].price, 139);
+      assert.equal(items[0].shipping.cost, 0);
+      assert.equal(items[0].seller.rating, 99.6);
+      assert.equal(items[0].type, 'FixedPrice');
+      assert.equal(items[1].price, 61);
+      assert.equal(items[1].type, 'Auction');
+      assert.equal(items[1].shipping.cost, null);
+    }],
+
+    ['eBay token is requested once and reused', async () => {
+      resetEbayStub();
+      const api = client();
+      await Promise.all([api.searchTools('drill', { strict: true }), api.searchTools('saw', { strict: true })]);
+      await api.searchTools('grinder', { strict: true });
+
+      assert.equal(ebayStub.tokens, 1);
+      assert.equal(ebayStub.searches, 3);
+      const tokenRequest = requests.find(request => request.url.pathname.endsWith('/oauth2/token'));
+      assert.equal(tokenRequest.headers.authorization, `Basic ${Buffer.from('app-id:cert-id').toString('base64')}`);
+    }],
+
+    ['eBay results are cached per search', async () => {
+      resetEbayStub();
+      const api = client();
+      await api.searchTools('drill', { strict: true });
+      await api.searchTools('drill', { strict: true });
+      assert.equal(ebayStub.searches, 1);
+    }],
+
+    ['eBay retries once with a new token after a 401', async () => {
+      resetEbayStub();
+      const api = client();
+      await api.searchTools('drill', { strict: true });
+
+      ebayStub.rejectTokens = ['token-1'];
+      const items = await api.searchTools('saw', { strict: true });
+      assert.equal(items.length, 2);
+      assert.equal(ebayStub.tokens, 2);
+      assert.equal(lastRequest('ebay').headers.authorization, 'Bearer token-2');
+
+      // A second 401 is an error, not another retry
+      ebayStub.rejectTokens = ['*'];
+      await assert.rejects(api.searchTools('grinder', { strict: true }), /401/);
+      assert.equal(ebayStub.tokens, 3);
+    }],
+
+    ['eBay failures throw when strict and fall back to mock results otherwise', async () => {
+      resetEbayStub();
+      ebayStub.searchStatus = 500;
+      await assert.rejects(client().searchTools('drill', { strict: true }), /500/);
+
+      const fallback = await client().searchTools('drill');
+      assert.ok(fallback.length > 0 && fallback.every(item => item.title.startsWith('drill - ')));
+
+      const unconfigured = new EbayAPI({ apiUrl: `${origin}/ebay` });
+      await assert.rejects(unconfigured.searchTools('drill', { strict: true }), /not configured/);
+      assert.ok((await unconfigured.searchTools('drill')).length > 0);
+    }],
+
+    ['eBay search is aborted when the provider times out', async () => {
+      resetEbayStub();
+      ebayStub.searchDelay = 2000;
+      const registry = new providers.ProviderRegistry([new providers.EbayProvider(client(), { timeout: 200 })]);
+      const { providers: statuses } = await registry.searchAll('drill');
+
+      assert.equal(statuses[0].status, 'timeout');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.ok(ebayStub.aborted, 'the search request was left running');
+    }]
+  ];
+}
+
+// =================================================================================================
+// RUN
+// =================================================================================================
+
+async function runChecks(checks) {
+  let failures = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      print(`✓ ${name}`);
+    } catch (error) {
+      failures++;
+      printError(`✗ ${name}: ${error.message}`);
+    }
+  }
+  return failures;
+}
+
+async function main() {
+  const server = http.createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const failures = await runChecks([...providerChecks(origin), ...ebayChecks(origin)]);
+    process.exitCode = failures ? 1 : 0;
+  } finally {
+    server.close();
+  }
+}
+
+main();
@@ -0,0 +1,1243 @@
+/**
+ * ToolScout Selector Packs
+ * Declarative, versioned extraction rules for each supported retailer
+ */
+
+const SELECTOR_PACK_FORMAT = 'toolscout-selector-packs';
+const SELECTOR_PACK_STORAGE_KEY = 'selectorPacks';
+const SELECTOR_PACK_MODES = ['text', 'attribute'];
+
+// Built-in packs. Bump `version` whenever selectors change so that an older
+// user-supplied pack stops overriding the newer built-in rules.
+const DEFAULT_SELECTOR_PACKS = {
+  amazon: {
+    retailer: 'amazon',
+    version: 9,
+    productPagePattern: '\\/dp\\/|\\/gp\\/product\\/',
+    priceLocale: 'en-US',
+    currency: 'USD',
+    // Per-marketplace overrides, matched against the end of the hostname
+    marketplaces: {
+      'amazon.com': { priceLocale: 'en-US', currency: 'USD' },
+      'amazon.ca': { priceLocale: 'en-CA', currency: 'CAD' },
+      'amazon.co.uk': { priceLocale: 'en-GB', currency: 'GBP' },
+      'amazon.de': { priceLocale: 'de-DE', currency: 'EUR' },
+      'amazon.fr': { priceLocale: 'fr-FR', currency: 'EUR' },
+      'amazon.es': { priceLocale: 'es-ES', currency: 'EUR' },
+      'amazon.it': { priceLocale: 'it-IT', currency: 'EUR' },
+      'amazon.com.au': { priceLocale: 'en-AU', currency: 'AUD' },
+      'amazon.co.jp': { priceLocale: 'ja-JP', currency: 'JPY' },
+      'amazon.in': { priceLocale: 'en-IN', currency: 'INR' }
+    },
+    // Spec table rows: label in the first cell, value in the last
+    specRows: [
+      '#productDetails_techSpec_section_1 tr',
+      '#productDetails_detailBullets_sections1 tr',
+      '#productOverview_feature_div tr',
+      '#detailBullets_feature_div li'
+    ],
+    // Choosing a size/style/kit swaps the price without a navigation. `watch` lists
+    // the regions to observe; `selected` the labels of the chosen options.
+    variants: {
+      watch: [
+        '#corePrice_feature_div',
+        '#corePriceDisplay_desktop_feature_div',
+        '#apex_desktop',
+        '#twister_feature_div',
+        '#twister',
+        '#all-offers-display'
+      ],
+      selected: [
+        '#variation_size_name .selection',
+        '#variation_style_name .selection',
+        '#variation_color_name .selection',
+        '#variation_configuration_name .selection',
+        '#variation_pattern_name .selection',
+        '#inline-twister-expanded-dimension-text-size_name',
+        '#inline-twister-expanded-dimension-text-style_name',
+        '#inline-twister-expanded-dimension-text-color_name'
+      ]
+    },
+    // Search and category pages: one `tile` per product, other selectors relative to it
+    listing: {
+      pagePattern: '^\\/s(?:\\/|$)|\\/b\\/|\\/gp\\/browse',
+      tile: '[data-component-type="s-search-result"][data-asin]',
+      link: 'h2 a, a.a-link-normal.s-no-outline',
+      title: 'h2 span',
+      price: '.a-price:not(.a-text-price) .a-offscreen'
+    },
+    // Offer rows in the "Other sellers" panel, other selectors relative to each `row`
+    offers: {
+      row: '#aod-pinned-offer, #aod-offer-list .aod-information-block',
+      price: '.a-price .a-offscreen',
+      condition: '#aod-offer-heading',
+      soldBy: '#aod-offer-soldBy a, #aod-offer-soldBy .a-col-right .a-size-small',
+      shipsFrom: '#aod-offer-shipsFrom .a-col-right .a-size-small',
+      rating: '#aod-offer-seller-rating'
+    },
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          '#productTitle',
+          'h1.a-size-large',
+          '[data-automation-id="product-title"]',
+          '.product-title'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '.a-price .a-offscreen',
+          '.a-price-whole',
+          '.a-price.a-text-price.a-size-medium.apexPriceToPay .a-offscreen',
+          '#price_inside_buybox',
+          '.a-price-current'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '#landingImage',
+          '#imgBlkFront',
+          '.a-dynamic-image'
+        ]
+      },
+      variantId: {
+        mode: 'attribute',
+        attribute: 'value',
+        selectors: [
+          '#ASIN',
+          'input[name="ASIN"]',
+          'input[name="ASIN.0"]'
+        ]
+      },
+      listPrice: {
+        mode: 'text',
+        selectors: [
+          '.basisPrice .a-offscreen',
+          '#corePriceDisplay_desktop_feature_div .a-text-price[data-a-strike="true"] .a-offscreen',
+          '#listPrice',
+          '.a-price.a-text-price .a-offscreen'
+        ]
+      },
+      coupon: {
+        mode: 'text',
+        selectors: [
+          '#couponBadgeRegularVpc',
+          '[id^="couponText"]',
+          '#vpcButton .a-color-success',
+          '.promoPriceBlockMessage .a-color-success'
+        ]
+      },
+      subscribeSave: {
+        mode: 'text',
+        selectors: [
+          '#snsAccordionRowMiddle .a-price .a-offscreen',
+          '#sns-base-price',
+          '#subscriptionPrice .a-offscreen'
+        ]
+      },
+      memberPrice: {
+        mode: 'text',
+        selectors: [
+          '#primeExclusivePricingMessage .a-price .a-offscreen',
+          '#pep-signup-link .a-price .a-offscreen'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
+          '#deliveryBlockMessage',
+          '#delivery-message'
+        ]
+      },
+      shippingCost: {
+        mode: 'attribute',
+        attribute: 'data-csa-c-delivery-price',
+        selectors: [
+          '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE [data-csa-c-delivery-price]',
+          '#deliveryBlockMessage [data-csa-c-delivery-price]'
+        ]
+      },
+      deliveryLocation: {
+        mode: 'text',
+        selectors: [
+          '#glow-ingress-line2',
+          '#contextualIngressPtLabel_deliveryShortLine'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '#availability',
+          '#outOfStock',
+          '#availabilityInsideBuyBox_feature_div'
+        ]
+      },
+      soldBy: {
+        mode: 'text',
+        selectors: [
+          '#merchantInfoFeature_feature_div .offer-display-feature-text-message',
+          '#tabular-buybox [tabular-attribute-name="Sold by"] .tabular-buybox-text',
+          '#sellerProfileTriggerId',
+          '#merchant-info'
+        ]
+      },
+      shipsFrom: {
+        mode: 'text',
+        selectors: [
+          '#fulfillerInfoFeature_feature_div .offer-display-feature-text-message',
+          '#tabular-buybox [tabular-attribute-name="Ships from"] .tabular-buybox-text'
+        ]
+      },
+      // "New & Used (12) from $89.99"
+      offerSummary: {
+        mode: 'text',
+        selectors: [
+          '#olpLinkWidget_feature_div',
+          '#aod-ingress-link',
+          '#buybox-see-all-buying-choices'
+        ]
+      }
+    }
+  },
+
+  homedepot: {
+    retailer: 'homedepot',
+    version: 7,
+    productPagePattern: '\\/p\\/',
+    priceLocale: 'en-US',
+    specRows: [
+      '.specifications__table .specifications__row',
+      '[data-component*="Specifications"] tr',
+      '.specs__group .specs__row'
+    ],
+    variants: {
+      watch: [
+        '[data-component*="Price"]',
+        '.price-format__main-price',
+        '[data-component*="SuperSku"]',
+        '.super-sku'
+      ],
+      selected: [
+        '.super-sku__inline-attribute--selected',
+        '.super-sku__inline-tile--selected',
+        '[data-component*="SuperSku"] [aria-checked="true"]'
+      ]
+    },
+    // Bulk pricing rows such as "Buy 10 or more: $12.97 /each"
+    tierRows: [
+      '.bulk-pricing__row',
+      '[data-component*="BulkPricing"] li'
+    ],
+    listing: {
+      pagePattern: '^\\/s\\/|^\\/b\\/',
+      tile: '[data-testid="product-pod"], .browse-search__pod',
+      link: 'a[href*="/p/"]',
+      title: '[data-testid="product-header"] span, .product-pod__title',
+      price: '[data-testid="price-simple"], .price-format__main-price'
+    },
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          'h1.product-details__title',
+          '.product-header__title',
+          '[data-testid="product-header-title"]'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '.price-format__main-price',
+          '.price-detailed__full-price',
+          '[data-testid="price"]'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '.mediagallery__mainimage img',
+          '.media-gallery__main-image img'
+        ]
+      },
+      variantId: {
+        mode: 'text',
+        selectors: [
+          '[data-component*="ProductInfoBar"] h2:first-of-type',
+          '.product-info-bar__detail:first-child'
+        ]
+      },
+      listPrice: {
+        mode: 'text',
+        selectors: [
+          '.price-detailed__was-price .u__strike',
+          '.price-format__was-price',
+          '[data-testid="was-price"]'
+        ]
+      },
+      coupon: {
+        mode: 'text',
+        selectors: [
+          '.promotion__message',
+          '[data-component*="Promotion"] .promo-message'
+        ]
+      },
+      memberPrice: {
+        mode: 'text',
+        selectors: [
+          '.pro-xtra-pricing__price',
+          '[data-testid="pro-price"]'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="fulfillment-delivery"]',
+          '.fulfillment__delivery'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="fulfillment-pickup"]',
+          '.fulfillment__pickup'
+        ]
+      },
+      deliveryLocation: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="delivery-zip-code"]',
+          '.fulfillment__zip-code'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '.buybox__out-of-stock',
+          '[data-testid="fulfillment-pickup"] .u__text--success',
+          '[data-testid="inventory-status"]'
+        ]
+      }
+    }
+  },
+
+  lowes: {
+    retailer: 'lowes',
+    version: 5,
+    productPagePattern: '\\/pd\\/',
+    priceLocale: 'en-US',
+    specRows: [
+      '.specs-table tr',
+      '[data-testid="specifications"] tr',
+      '.spec-table tr'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="product-title"]',
+          'h1.styles__H1-sc-11vpuyu-0',
+          '.product-details h1'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="product-price"] .screen-reader',
+          '.main-price .aPrice',
+          '[data-automation-id="product-price"]',
+          '.art-pd-price'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '[data-testid="product-image"] img',
+          '.imageContainer img',
+          '.main-image img'
+        ]
+      },
+      mpn: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="model-number"]',
+          '.product-model-number',
+          '.modelNo'
+        ]
+      },
+      listPrice: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="was-price"]',
+          '.was-price'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="fulfillment-delivery"]',
+          '.fulfillment-delivery'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="fulfillment-pickup"]',
+          '.fulfillment-pickup'
+        ]
+      },
+      deliveryLocation: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="zip-code"]'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="fulfillment-availability"]',
+          '.out-of-stock-message'
+        ]
+      }
+    }
+  },
+
+  screwfix: {
+    retailer: 'screwfix',
+    version: 4,
+    productPagePattern: '\\/p\\/',
+    priceLocale: 'en-GB',
+    currency: 'GBP',
+    specRows: [
+      '#product_specification tr',
+      '[data-qaid="pdp-specification"] tr'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          '[data-qaid="pdp-product-name"]',
+          'h1.product-title',
+          '#product_description'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '[data-qaid="pdp-price"]',
+          '.pr__price',
+          '#product_price'
+        ]
+      },
+      priceExVat: {
+        mode: 'text',
+        selectors: [
+          '[data-qaid="pdp-price-ex-vat"]',
+          '.pr__price--exvat',
+          '#product_price_ex_vat'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '[data-qaid="pdp-main-image"] img',
+          '#product_image',
+          '.pr__image img'
+        ]
+      },
+      productCode: {
+        mode: 'text',
+        selectors: [
+          '[data-qaid="pdp-product-code"]',
+          '.pr__product-code',
+          '#product_quick_find_code'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '[data-qaid="pdp-delivery-option"]',
+          '.delivery-option'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '[data-qaid="pdp-collect-option"]',
+          '.click-collect-option'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '[data-qaid="pdp-stock-message"]',
+          '.stock-message'
+        ]
+      }
+    }
+  },
+
+  toolstation: {
+    retailer: 'toolstation',
+    version: 4,
+    productPagePattern: '\\/p\\d+',
+    priceLocale: 'en-GB',
+    currency: 'GBP',
+    specRows: [
+      '.product-specifications tr',
+      '[data-testid="specifications"] tr'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="product-title"]',
+          'h1.product-name',
+          '.product-details h1'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="product-price-inc-vat"]',
+          '.product-price .inc-vat',
+          '.product-price'
+        ]
+      },
+      priceExVat: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="product-price-ex-vat"]',
+          '.product-price .ex-vat'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '[data-testid="product-image"] img',
+          '.product-gallery img',
+          '.product-image img'
+        ]
+      },
+      productCode: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="product-code"]',
+          '.product-code',
+          '.product-details .code'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="delivery-option"]',
+          '.delivery-option'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="collection-option"]',
+          '.collection-option'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="stock-status"]',
+          '.stock-status'
+        ]
+      }
+    }
+  },
+
+  castorama: {
+    retailer: 'castorama',
+    version: 4,
+    productPagePattern: '\\.prd$',
+    priceLocale: 'fr-FR',
+    currency: 'EUR',
+    specRows: [
+      '.product-specifications tr',
+      '[data-test-id="product-specifications"] tr'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          '[data-test-id="product-title"]',
+          'h1.product-title',
+          '.product-header h1'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '[data-test-id="product-price"]',
+          '.product-price__amount',
+          '.price-container .price'
+        ]
+      },
+      ecoFee: {
+        mode: 'text',
+        selectors: [
+          '[data-test-id="eco-participation"]',
+          '.product-price__eco-part',
+          '.eco-participation'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '[data-test-id="product-main-image"] img',
+          '.product-gallery__image img',
+          '.product-image img'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '[data-test-id="delivery-info"]',
+          '.product-delivery'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '[data-test-id="click-collect-info"]',
+          '.product-click-collect'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '[data-test-id="stock-info"]',
+          '.product-stock'
+        ]
+      }
+    }
+  },
+
+  bricodepot: {
+    retailer: 'bricodepot',
+    version: 4,
+    productPagePattern: '\\/prod\\d+',
+    priceLocale: 'fr-FR',
+    currency: 'EUR',
+    specRows: [
+      '.bd-ProductSheet-specs tr',
+      '.product-features tr'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          'h1.bd-ProductCard-title',
+          '.bd-Product-title h1',
+          'h1[itemprop="name"]'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '.bd-Price-current',
+          '.bd-ProductCard-price .bd-Price',
+          '[itemprop="price"]'
+        ]
+      },
+      ecoFee: {
+        mode: 'text',
+        selectors: [
+          '.bd-Price-ecopart',
+          '.bd-Product-ecoPart',
+          '.eco-participation'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '.bd-ProductGallery-image img',
+          '.bd-Product-image img'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '.bd-Delivery',
+          '.product-delivery'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '.bd-ClickCollect',
+          '.product-pickup'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '.bd-Stock',
+          '.product-stock'
+        ]
+      }
+    }
+  },
+
+  manomano: {
+    retailer: 'manomano',
+    version: 4,
+    productPagePattern: '^\\/p\\/',
+    priceLocale: 'fr-FR',
+    currency: 'EUR',
+    specRows: [
+      '[data-testid="technical-specifications"] tr',
+      '[data-testid="product-specifications"] li'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="product-title"]',
+          'h1.product-title',
+          'main h1'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="price-main"]',
+          '[data-testid="product-price"]',
+          '.product-price'
+        ]
+      },
+      ecoFee: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="eco-participation"]',
+          '[data-testid="price-ecotax"]',
+          '.ecotax'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '[data-testid="product-main-image"] img',
+          '.product-gallery img'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="delivery-date"]',
+          '[data-testid="delivery-information"]'
+        ]
+      },
+      shippingCost: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="delivery-price"]'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="stock-status"]',
+          '[data-testid="stock-information"]'
+        ]
+      }
+    }
+  },
+
+  leroymerlin: {
+    retailer: 'leroymerlin',
+    version: 5,
+    productPagePattern: '\\/p\\/',
+    priceLocale: 'fr-FR',
+    currency: 'EUR',
+    specRows: [
+      '.m-product-attr-row',
+      '[data-testid="product-specifications"] tr'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          'h1.xlarge',
+          'h1.product-title',
+          '.product-name h1'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '.xlarge',
+          '.price',
+          '.product-price'
+        ]
+      },
+      ecoFee: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="eco-participation"]',
+          '.km-price-ecopart',
+          '.product-price-ecopart'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '.mc-product-media-container img',
+          '.product-image img'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '.m-delivery',
+          '[data-testid="delivery-info"]'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '.m-pickup',
+          '[data-testid="pickup-info"]'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '.m-stock',
+          '[data-testid="stock-info"]'
+        ]
+      }
+    }
+  },
+
+  ebay: {
+    retailer: 'ebay',
+    version: 5,
+    productPagePattern: '\\/itm\\/',
+    priceLocale: 'en-US',
+    specRows: [
+      '.ux-layout-section-evo__col',
+      '.itemAttr tr'
+    ],
+    fields: {
+      title: {
+        mode: 'text',
+        selectors: [
+          '.x-item-title__mainTitle',
+          '.it-ttl',
+          'h1.it-ttl',
+          '[data-testid="x-item-title"]'
+        ]
+      },
+      price: {
+        mode: 'text',
+        selectors: [
+          '.x-price-primary span.ux-textspans--BOLD',
+          '.x-bin-price__content span.ux-textspans--BOLD',
+          '.prc-now',
+          'span.notranslate[itemprop="price"]'
+        ]
+      },
+      image: {
+        mode: 'attribute',
+        attribute: 'src',
+        selectors: [
+          '.ux-image-carousel-item.active img',
+          '#icImg',
+          '[data-testid="x-picture-primary"] img'
+        ]
+      },
+      condition: {
+        mode: 'text',
+        selectors: [
+          '.u-flL.condText',
+          '[data-testid="x-item-condition"]'
+        ]
+      },
+      delivery: {
+        mode: 'text',
+        selectors: [
+          '.ux-labels-values--deliverto .ux-labels-values__values',
+          '#delSummary'
+        ]
+      },
+      shippingCost: {
+        mode: 'text',
+        selectors: [
+          '.ux-labels-values--shipping .ux-textspans--BOLD',
+          '#fshippingCost'
+        ]
+      },
+      pickup: {
+        mode: 'text',
+        selectors: [
+          '.ux-labels-values--localPickup .ux-labels-values__values'
+        ]
+      },
+      stock: {
+        mode: 'text',
+        selectors: [
+          '#qtySubTxt',
+          '.d-quantity__availability',
+          '.x-quantity__availability'
+        ]
+      },
+      // Listing format comes from which purchase buttons the item page shows
+      bidAction: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="x-bid-action"]',
+          '.x-bid-action',
+          '#bidBtn_btn'
+        ]
+      },
+      buyItNow: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="x-bin-action"]',
+          '.x-bin-action',
+          '#binBtn_btn'
+        ]
+      },
+      bestOffer: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="x-offer-action"]',
+          '.x-offer-action',
+          '#boBtn_btn'
+        ]
+      },
+      bidCount: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="x-bid-count"]',
+          '.x-bid-count',
+          '#qty-test',
+          '#vi-VR-bid-lnk'
+        ]
+      },
+      timeLeft: {
+        mode: 'text',
+        selectors: [
+          '.x-end-time .ux-timer__text',
+          '.ux-timer__text',
+          '#vi-cdown_timeLeft',
+          '.vi-tm-left'
+        ]
+      },
+      seller: {
+        mode: 'text',
+        selectors: [
+          '[data-testid="str-title"] a',
+          '.x-sellercard-atf__info__about-seller a span',
+          '.mbg-nw'
+        ]
+      },
+      sellerFeedback: {
+        mode: 'text',
+        selectors: [
+          '.x-sellercard-atf__about-seller-item',
+          '.x-sellercard-atf__info__about-seller .ux-textspans--SECONDARY',
+          '.mbg-l a'
+        ]
+      },
+      sellerRating: {
+        mode: 'text',
+        selectors: [
+          '.x-sellercard-atf__data-item',
+          '[data-testid="x-sellercard-atf__data-item"]',
+          '#si-fb'
+        ]
+      },
+      itemLocation: {
+        mode: 'text',
+        selectors: [
+          '.ux-labels-values--itemLocation .ux-labels-values__values',
+          '#itemLocation .u-flL'
+        ]
+      }
+    }
+  }
+};
+
+class SelectorPackManager {
+  constructor(storage = chrome.storage.local) {
+    this.storage = storage;
+  }
+
+  /**
+   * Validate a pack and return a normalized copy. Throws on invalid input.
+   */
+  validatePack(pack) {
+    if (!pack || typeof pack !== 'object') {
+      throw new Error('Selector pack must be an object');
+    }
+
+    const {
+      retailer, version, productPagePattern, priceLocale, currency, marketplaces, specRows, tierRows, variants, listing, offers, fields
+    } = pack;
+
+    if (!retailer || !DEFAULT_SELECTOR_PACKS[retailer]) {
+      throw new Error(`Unknown retailer in selector pack: ${retailer}`);
+    }
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Selector pack for ${retailer} needs a positive integer version`);
+    }
+
+    try {
+      new RegExp(productPagePattern);
+    } catch (error) {
+      throw new Error(`Invalid productPagePattern for ${retailer}: ${error.message}`);
+    }
+
+    if (!priceLocale || Intl.NumberFormat.supportedLocalesOf([priceLocale]).length === 0) {
+      throw new Error(`Unsupported priceLocale for ${retailer}: ${priceLocale}`);
+    }
+
+    if (currency !== undefined && !/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`Invalid currency for ${retailer}: ${currency}`);
+    }
+
+    const normalizedMarketplaces = {};
+    if (marketplaces !== undefined) {
+      if (!marketplaces || typeof marketplaces !== 'object') {
+        throw new Error(`Invalid marketplaces for ${retailer}`);
+      }
+      for (const [host, market] of Object.entries(marketplaces)) {
+        if (!market?.priceLocale || Intl.NumberFormat.supportedLocalesOf([market.priceLocale]).length === 0) {
+          throw new Error(`Unsupported priceLocale for ${retailer} marketplace ${host}`);
+        }
+        if (!/^[A-Z]{3}$/.test(market.currency)) {
+          throw new Error(`Invalid currency for ${retailer} marketplace ${host}`);
+        }
+        normalizedMarketplaces[host.toLowerCase()] = {
+          priceLocale: market.priceLocale,
+          currency: market.currency
+        };
+      }
+    }
+
+    const isSelectorList = list => Array.isArray(list) &&
+      list.every(selector => typeof selector === 'string' && selector.trim());
+
+    if (specRows !== undefined && !isSelectorList(specRows)) {
+      throw new Error(`specRows in ${retailer} pack must be a list of selectors`);
+    }
+
+    if (tierRows !== undefined && !isSelectorList(tierRows)) {
+      throw new Error(`tierRows in ${retailer} pack must be a list of selectors`);
+    }
+
+    if (variants !== undefined && (!variants || !isSelectorList(variants.watch) ||
+        variants.watch.length === 0 || (variants.selected !== undefined && !isSelectorList(variants.selected)))) {
+      throw new Error(`variants in ${retailer} pack need a list of selectors to watch`);
+    }
+
+    if (listing !== undefined) {
+      const listingKeys = ['pagePattern', 'tile', 'link', 'price'];
+      if (!listing || listingKeys.some(key => typeof listing[key] !== 'string' || !listing[key].trim()) ||
+          (listing.title !== undefined && typeof listing.title !== 'string')) {
+        throw new Error(`listing in ${retailer} pack needs a pagePattern plus tile, link and price selectors`);
+      }
+      try {
+        new RegExp(listing.pagePattern);
+      } catch (error) {
+        throw new Error(`Invalid listing pagePattern for ${retailer}: ${error.message}`);
+      }
+    }
+
+    const offerKeys = ['row', 'price', 'condition', 'soldBy', 'shipsFrom', 'rating'];
+    if (offers !== undefined && (!offers || typeof offers.row !== 'string' || !offers.row.trim() ||
+        typeof offers.price !== 'string' || !offers.price.trim() ||
+        offerKeys.some(key => offers[key] !== undefined && typeof offers[key] !== 'string'))) {
+      throw new Error(`offers in ${retailer} pack need row and price selectors`);
+    }
+
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+      throw new Error(`Selector pack for ${retailer} has no fields`);
+    }
+
+    const normalizedFields = {};
+    for (const [name, rule] of Object.entries(fields)) {
+      const mode = rule?.mode || 'text';
+
+      if (!SELECTOR_PACK_MODES.includes(mode)) {
+        throw new Error(`Field "${name}" in ${retailer} pack has unknown mode: ${mode}`);
+      }
+      if (mode === 'attribute' && !rule.attribute) {
+        throw new Error(`Field "${name}" in ${retailer} pack needs an attribute name`);
+      }
+      if (!Array.isArray(rule.selectors) || rule.selectors.length === 0 ||
+          !rule.selectors.every(selector => typeof selector === 'string' && selector.trim())) {
+        throw new Error(`Field "${name}" in ${retailer} pack needs a list of selectors`);
+      }
+
+      normalizedFields[name] = {
+        mode,
+        ...(mode === 'attribute' ? { attribute: rule.attribute } : {}),
+        selectors: rule.selectors.map(selector => selector.trim())
+      };
+    }
+
+    return {
+      retailer,
+      version,
+      productPagePattern: String(productPagePattern),
+      priceLocale,
+      ...(currency ? { currency } : {}),
+      ...(marketplaces ? { marketplaces: normalizedMarketplaces } : {}),
+      ...(specRows ? { specRows: specRows.map(selector => selector.trim()) } : {}),
+      ...(tierRows ? { tierRows: tierRows.map(selector => selector.trim()) } : {}),
+      ...(variants ? {
+        variants: {
+          watch: variants.watch.map(selector => selector.trim()),
+          selected: (variants.selected || []).map(selector => selector.trim())
+        }
+      } : {}),
+      ...(listing ? {
+        listing: {
+          pagePattern: String(listing.pagePattern),
+          tile: listing.tile.trim(),
+          link: listing.link.trim(),
+          ...(listing.title ? { title: listing.title.trim() } : {}),
+          price: listing.price.trim()
+        }
+      } : {}),
+      ...(offers ? {
+        offers: Object.fromEntries(offerKeys
+          .filter(key => offers[key])
+          .map(key => [key, offers[key].trim()]))
+      } : {}),
+      fields: normalizedFields
+    };
+  }
+
+  /**
+   * Get user-supplied packs, keyed by retailer
+   */
+  async getUserPacks() {
+    try {
+      const result = await this.storage.get([SELECTOR_PACK_STORAGE_KEY]);
+      return result[SELECTOR_PACK_STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('[ToolScout] Error loading selector packs:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Resolve the effective pack for every retailer. A user pack overrides the
+   * built-in one as long as its version is not older than the built-in.
+   */
+  async loadPacks() {
+    const userPacks = await this.getUserPacks();
+    return SelectorPackManager.mergePacks(DEFAULT_SELECTOR_PACKS, userPacks);
+  }
+
+  static mergePacks(defaults, userPacks = {}) {
+    const packs = {};
+
+    for (const [retailer, builtIn] of Object.entries(defaults)) {
+      const userPack = userPacks[retailer];
+      packs[retailer] = userPack && userPack.version >= builtIn.version
+        ? { ...userPack, source: 'user' }
+        : { ...builtIn, source: 'built-in' };
+    }
+
+    return packs;
+  }
+
+  /**
+   * Import packs from JSON text. Accepts an export file, an array of packs
+   * or a single pack. Returns the retailers that were imported.
+   */
+  async importPacks(jsonText) {
+    let data;
+    try {
+      data = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error('Selector pack file is not valid JSON');
+    }
+
+    if (data?.format && data.format !== SELECTOR_PACK_FORMAT) {
+      throw new Error(`Unsupported selector pack format: ${data.format}`);
+    }
+
+    const incoming = Array.isArray(data) ? data : Array.isArray(data?.packs) ? data.packs : [data];
+    const validated = incoming.map(pack => this.validatePack(pack));
+
+    const userPacks = await this.getUserPacks();
+    validated.forEach(pack => {
+      userPacks[pack.retailer] = pack;
+    });
+
+    await this.storage.set({ [SELECTOR_PACK_STORAGE_KEY]: userPacks });
+
+    return validated.map(pack => pack.retailer);
+  }
+
+  /**
+   * Export the effective packs as JSON text
+   */
+  async exportPacks() {
+    const packs = await this.loadPacks();
+
+    return JSON.stringify({
+      format: SELECTOR_PACK_FORMAT,
+      exportedAt: new Date().toISOString(),
+      packs: Object.values(packs).map(({ source, ...pack }) => pack)
+    }, null, 2);
+  }
+
+  /**
+   * Remove user overrides, for one retailer or all of them
+   */
+  async resetPacks(retailer = null) {
+    if (!retailer) {
+      await this.storage.remove(SELECTOR_PACK_STORAGE_KEY);
+      return;
+    }
+
+    const userPacks = await this.getUserPacks();
+    delete userPacks[retailer];
+    await this.storage.set({ [SELECTOR_PACK_STORAGE_KEY]: userPacks });
+  }
+
+  /**
+   * Apply the marketplace override matching `hostname`, if any. The longest
+   * matching suffix wins so amazon.com.au is not treated as amazon.com.
+   */
+  static forHost(pack, hostname) {
+    if (!pack?.marketplaces) return pack;
+
+    const host = hostname.toLowerCase();
+    const match = Object.keys(pack.marketplaces)
+      .filter(suffix => host === suffix || host.endsWith(`.${suffix}`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? { ...pack, ...pack.marketplaces[match], marketplace: match } : pack;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SelectorPackManager, DEFAULT_SELECTOR_PACKS, SELECTOR_PACK_STORAGE_KEY };
+}
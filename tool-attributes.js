@@ -0,0 +1,339 @@
+/**
+ * ToolScout Tool Attributes
+ * Reads the attributes that identify a power tool across retailers - brand,
+ * model number, UPC, voltage, battery platform and kit vs bare tool - from a
+ * page's spec table and title, plus the pack count, battery capacity and
+ * length that unit prices are based on. Reference titles live in
+ * fixtures/tool-titles.json.
+ */
+
+// Canonical brand names, so "DeWALT" and "Dewalt" compare equal across retailers
+const TOOL_BRANDS = [
+  ['DEWALT', /\bde\s*walt\b/i],
+  ['Milwaukee', /\bmilwaukee\b/i],
+  ['Makita', /\bmakita\b/i],
+  ['Ryobi', /\bryobi\b/i],
+  ['Bosch', /\bbosch\b/i],
+  ['Metabo HPT', /\bmetabo\s*hpt\b|\bhitachi\b/i],
+  ['Metabo', /\bmetabo\b/i],
+  ['RIDGID', /\bridgid\b/i],
+  ['Craftsman', /\bcraftsman\b/i],
+  ['BLACK+DECKER', /\bblack\s*(?:\+|&|and)\s*decker\b/i],
+  ['Kobalt', /\bkobalt\b/i],
+  ['Hart', /\bhart\b/i],
+  ['Einhell', /\beinhell\b/i],
+  ['WORX', /\bworx\b/i],
+  ['EGO', /\bego\b/i],
+  ['Festool', /\bfestool\b/i],
+  ['Hilti', /\bhilti\b/i]
+];
+
+// Words a brand's own storefront adds around its name
+const BRAND_STORE_WORDS = /\b(?:official|store|shop|tools?|power|direct|usa|us|uk|europe|inc|llc|ltd|corp(?:oration)?|co(?:mpany)?|gmbh)\b/gi;
+
+// Battery platforms per brand, most specific first. `voltage` is the platform's nominal voltage.
+const BATTERY_PLATFORMS = [
+  { brand: 'DEWALT', name: 'FLEXVOLT', voltage: 60, pattern: /flex\s*volt/i },
+  { brand: 'DEWALT', name: '20V MAX', voltage: 20, pattern: /\b20\s*v(?:olt)?\s*max\b/i },
+  { brand: 'DEWALT', name: '12V MAX', voltage: 12, pattern: /\b12\s*v(?:olt)?\s*max\b/i },
+  { brand: 'DEWALT', name: '18V XR', voltage: 18, pattern: /\b18\s*v(?:olt)?\s*xr\b|\bxr\b/i },
+  { brand: 'Milwaukee', name: 'MX FUEL', voltage: 72, pattern: /\bmx\s*fuel\b/i },
+  { brand: 'Milwaukee', name: 'M18', voltage: 18, pattern: /\bm18\b/i },
+  { brand: 'Milwaukee', name: 'M12', voltage: 12, pattern: /\bm12\b/i },
+  { brand: 'Makita', name: '40V max XGT', voltage: 40, pattern: /\bxgt\b/i },
+  { brand: 'Makita', name: '18V LXT', voltage: 18, pattern: /\blxt\b/i },
+  { brand: 'Makita', name: '12V max CXT', voltage: 12, pattern: /\bcxt\b/i },
+  { brand: 'Ryobi', name: 'ONE+ 18V', voltage: 18, pattern: /\bone\s*(?:\+|plus)/i },
+  { brand: 'Ryobi', name: '40V', voltage: 40, pattern: /\b40\s*v/i },
+  { brand: 'Bosch', name: '18V', voltage: 18, pattern: /\b18\s*v/i },
+  { brand: 'Bosch', name: '12V', voltage: 12, pattern: /\b12\s*v/i },
+  { brand: 'Metabo HPT', name: 'MultiVolt 36V', voltage: 36, pattern: /multi\s*volt/i },
+  { brand: 'Metabo HPT', name: '18V', voltage: 18, pattern: /\b18\s*v/i },
+  { brand: 'Metabo', name: 'CAS 18V', voltage: 18, pattern: /\bcas\b|\b18\s*v/i },
+  { brand: 'RIDGID', name: '18V', voltage: 18, pattern: /\b18\s*v/i },
+  { brand: 'Craftsman', name: 'V20', voltage: 20, pattern: /\bv20\b/i },
+  { brand: 'BLACK+DECKER', name: '20V MAX', voltage: 20, pattern: /\b20\s*v(?:olt)?\s*max\b/i },
+  { brand: 'Kobalt', name: '24V MAX', voltage: 24, pattern: /\b24\s*v/i },
+  { brand: 'Hart', name: '20V', voltage: 20, pattern: /\b20\s*v/i },
+  { brand: 'Einhell', name: 'Power X-Change', voltage: 18, pattern: /power\s*x-?change/i },
+  { brand: 'WORX', name: 'PowerShare', voltage: 20, pattern: /power\s*share/i },
+  { brand: 'EGO', name: '56V', voltage: 56, pattern: /\b56\s*v/i },
+  { brand: 'Festool', name: '18V', voltage: 18, pattern: /\b18\s*v/i },
+  { brand: 'Hilti', name: 'Nuron 22V', voltage: 22, pattern: /\bnuron\b|\b22\s*v/i }
+];
+
+// Spec table labels (English and French/German retailers) mapped to attributes
+const SPEC_LABELS = {
+  brand: /^(?:brand(?:\s*name)?|manufacturer|marque|fabricant|marke|hersteller)$/i,
+  model: /^(?:(?:item\s+)?model(?:\s*(?:number|no\.?|#))?|manufacturer\s+part\s+number|mpn|part\s+number|mfr\.?\s*part|référence(?:\s+fabricant)?|réf\.?|modèle|modellnummer|herstellernummer)$/i,
+  upc: /^(?:upc|gtin(?:-?1[234])?|ean(?:-?13)?|code\s*ean|barcode|code-barres|internet\s*#?\s*upc)$/i,
+  voltage: /^(?:(?:battery\s+)?voltage(?:\s*\(v(?:olts)?\))?|volts?|tension(?:\s+de\s+la\s+batterie)?|spannung|akkuspannung)$/i,
+  platform: /^(?:(?:compatible\s+)?battery\s+(?:platform|system|series|family)|plateforme|gamme(?:\s+de\s+batterie)?|akkusystem)$/i,
+  packCount: /^(?:package\s+quantity|pack(?:age)?\s+(?:quantity|size)|number\s+of\s+pieces|(?:unit|piece)\s+count|quantity|qty|nombre\s+de\s+pièces|quantité|stückzahl|packungsgröße)$/i,
+  capacity: /^(?:(?:battery\s+)?capacity|(?:battery\s+)?amp(?:ere)?[\s-]*hours?(?:\s+rating)?|capacité(?:\s+de\s+la\s+batterie)?|(?:akku)?kapazität)$/i,
+  length: /^(?:(?:overall|product|cord|cable|hose)\s+length|length|longueur|länge)$/i,
+  kitType: /^(?:tool\s+only|bare\s+tool|batter(?:y|ies)\s+included|number\s+of\s+batteries(?:\s+included)?|included\s+components|batterie\s+incluse|nombre\s+de\s+batteries|akku\s+enthalten|lieferumfang)$/i
+};
+
+const BARE_TOOL_PATTERN = /\b(?:tool[\s-]*only|bare[\s-]*tool|body[\s-]*only|skin[\s-]*only|naked|solo|ohne\s+akku|sans\s+batterie|machine\s+seule|batter(?:y|ies)\s+(?:and\s+charger\s+)?(?:not\s+included|sold\s+separately))\b/i;
+const KIT_PATTERN = /\bkit\b|\bwith\s+(?:\(?\d\)?\s*)?(?:\d+(?:\.\d)?\s*ah\s+)?batter(?:y|ies)|\bbatter(?:y|ies)\s+included|\bavec\s+(?:\d\s+)?batteries?|\bmit\s+(?:\d\s+)?akkus?\b|\d\s*x\s*\d+(?:[.,]\d)?\s*ah\b/i;
+// "Accessory kit" and "bit kit" describe the contents, not the power supply
+const NON_POWER_KIT_PATTERN = /\b(?:accessor(?:y|ies)|bits?|blades?|sockets?|screwdriver)\s+kit\b/i;
+const BATTERY_COUNT_PATTERN = /\((\d)\)\s*\d+(?:[.,]\d)?\s*ah|\b(\d)\s*x\s*\d+(?:[.,]\d)?\s*ah|\b(\d|two|three|four)\s+(?:\d+(?:[.,]\d)?\s*ah\s+)?(?:batter(?:y|ies)|akkus?)\b/i;
+const NUMBER_WORDS = { two: 2, three: 3, four: 4 };
+
+// "50-Pack", "29-Piece", "100 Count", "Pack of 10", "Lot de 50", "Screws x200".
+// A bare "x 50" is a count only when it is not a dimension: nothing measured
+// before it ("16/3 x 25 ft") and no unit after it ("3/8 in. x 50 ft.").
+const PACK_COUNT_PATTERNS = [
+  /\b(\d{1,4})\s*-?\s*(?:pack|pk|pcs?|pieces?|count|ct|pièces?|stück|stk)\b/i,
+  /\b(?:pack|box|set|bag|tub|lot|boîte|packung)\s+(?:of|de|à)\s+(\d{1,4})\b/i,
+  /(?:^|(?<![\d"']\s*)\s)x\s?(\d{1,4})(?=\s|$)(?!\s*(?:in(?:ch(?:es)?)?|ft|feet|foot|yds?|mm|cm|m|metres?|meters?|mètres?|ah|v|w|ga(?:uge)?|awg)\b|\s*["'])/i
+];
+const CAPACITY_PATTERN = /(\d+(?:[.,]\d+)?)\s*(m)?(?:ah\b|amp[\s-]*hours?\b)/gi;
+// Feet and metres only: inch and millimetre sizes describe each piece, not the quantity sold
+const LENGTH_PATTERN = /(\d+(?:[.,]\d+)?)\s*-?\s*(ft\b\.?|feet\b|foot\b|'|m\b|metres?\b|meters?\b|mètres?\b)/i;
+// Goods sold by length; a tape measure or level only has a length
+const LENGTH_PRODUCT_PATTERN = /\b(?:cords?|cables?|hoses?|wires?|tubing|chains?|câbles?|tuyaux?|rallonges?|kabel|schlauch|ketten?|chaînes?)\b/i;
+// A battery on its own, as opposed to a tool that comes with one
+const BATTERY_PRODUCT_PATTERN = /\bbatter(?:y|ies)\b|\bakkus?\b|\bbatteries?\b/i;
+const TOOL_PRODUCT_PATTERN = /\b(?:drill|driver|saw|grinder|wrench|sander|hammer|blower|trimmer|mower|vacuum|router|nailer|stapler|multi-?tool|light|radio|fan|perceuse|visseuse|scie|meuleuse|bohrschrauber|säge)\b/i;
+// Upper-case part numbers with letters and digits ("DCD771C2", "GSR 18V-55" excluded) or Milwaukee's "2904-20"
+const MODEL_TOKEN_PATTERN = /\b(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])[A-Z][A-Z0-9-]{4,}\b|\b\d{4}-\d{2}\b/g;
+const NOT_A_MODEL_PATTERN = /^(?:\d+(?:V|AH|W|MM|NM)|[MV]\d{2}|LXT|XGT|CXT|FLEXVOLT|\d+V-\d+)$/i;
+
+class ToolAttributes {
+  /**
+   * Combine spec table rows with the title. Spec values win; the title fills gaps.
+   *
+   * input: { title, specs: { label: value }, brand, mpn, gtin }
+   * Result: { brand, model, upc, voltage, platform, kitType, batteryCount,
+   *           packCount, capacityAh, totalCapacityAh, length, unitQuantity }
+   */
+  static extract({ title = '', specs = {}, brand = null, mpn = null, gtin = null } = {}) {
+    const fromSpecs = ToolAttributes.fromSpecs(specs);
+    const text = [title, fromSpecs.platform, fromSpecs.kitType].filter(Boolean).join(' ');
+
+    const canonicalBrand = ToolAttributes.canonicalBrand(fromSpecs.brand || brand) ||
+      ToolAttributes.canonicalBrand(title);
+    const platform = ToolAttributes.detectPlatform(canonicalBrand, text);
+    const kit = ToolAttributes.detectKit(text);
+    const packCount = ToolAttributes.parsePackCount(fromSpecs.packCount) ?? ToolAttributes.parsePackCount(title);
+    const capacity = ToolAttributes.parseCapacity(fromSpecs.capacity || title, packCount || kit.batteryCount);
+    const lengthFromTitle = ToolAttributes.parseLength(title);
+
+    return {
+      brand: canonicalBrand || (brand ? String(brand).trim() : null),
+      model: fromSpecs.model || (mpn ? String(mpn).trim() : null) || ToolAttributes.detectModel(title),
+      upc: ToolAttributes.normalizeUpc(fromSpecs.upc || gtin),
+      voltage: ToolAttributes.parseVoltage(fromSpecs.voltage) ??
+        platform?.voltage ?? ToolAttributes.parseVoltage(title),
+      platform: platform ? `${platform.brand} ${platform.name}` : null,
+      kitType: kit.kitType,
+      batteryCount: kit.batteryCount,
+      packCount: packCount,
+      capacityAh: capacity.perBattery,
+      totalCapacityAh: capacity.total,
+      length: lengthFromTitle || ToolAttributes.parseLength(fromSpecs.length),
+      unitQuantity: ToolAttributes.unitQuantity({
+        title, packCount, totalCapacityAh: capacity.total, length: lengthFromTitle
+      })
+    };
+  }
+
+  /**
+   * What a unit price divides by: total Ah for batteries, pieces for packs,
+   * feet/metres for cord, cable, hose and the like. Null when the listing is
+   * one item.
+   */
+  static unitQuantity({ title = '', packCount = null, totalCapacityAh = null, length = null } = {}) {
+    if (totalCapacityAh && BATTERY_PRODUCT_PATTERN.test(title) && !TOOL_PRODUCT_PATTERN.test(title)) {
+      return { unit: 'Ah', quantity: totalCapacityAh };
+    }
+    if (packCount > 1) {
+      return { unit: 'piece', quantity: packCount };
+    }
+    if (length && LENGTH_PRODUCT_PATTERN.test(title) && !TOOL_PRODUCT_PATTERN.test(title)) {
+      return { unit: length.unit, quantity: length.value };
+    }
+    return null;
+  }
+
+  /**
+   * Price per unit, e.g. { amount: 0.25, unit: 'piece' }, or null
+   */
+  static unitPrice(price, unitQuantity) {
+    if (!price || !unitQuantity?.quantity) return null;
+    return {
+      amount: Math.round((price / unitQuantity.quantity) * 10000) / 10000,
+      unit: unitQuantity.unit
+    };
+  }
+
+  static parsePackCount(text) {
+    if (text === null || text === undefined) return null;
+    if (typeof text === 'number') return text > 0 ? Math.round(text) : null;
+
+    // Spec values are often just the number ("50" or Amazon's "50.0 Count")
+    const bare = String(text).match(/^\s*(\d+)(?:\.0+)?\s*(?:count|ct|pieces?|pcs?)?\s*$/i);
+    if (bare) return parseInt(bare[1], 10) || null;
+
+    for (const pattern of PACK_COUNT_PATTERNS) {
+      const match = String(text).match(pattern);
+      if (match) return parseInt(match[1], 10) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Battery capacity in Ah. Listings with several batteries give the
+   * capacity of each; the total counts every battery in the pack.
+   */
+  static parseCapacity(text, batteries = 1) {
+    if (!text) return { perBattery: null, total: null };
+
+    const capacities = Array.from(String(text).matchAll(CAPACITY_PATTERN))
+      .map(match => parseFloat(match[1].replace(',', '.')) / (match[2] ? 1000 : 1))
+      .filter(value => value > 0 && value < 100);
+    if (capacities.length === 0) return { perBattery: null, total: null };
+
+    // "(1) 2.0Ah and (1) 5.0Ah" lists each battery; "5.0Ah 2-Pack" names one capacity
+    const distinct = [...new Set(capacities)];
+    const total = distinct.length > 1
+      ? distinct.reduce((sum, value) => sum + value, 0)
+      : distinct[0] * Math.max(batteries || 1, 1);
+
+    return { perBattery: Math.max(...distinct), total: Math.round(total * 10) / 10 };
+  }
+
+  static parseLength(text) {
+    if (!text) return null;
+    const match = String(text).match(LENGTH_PATTERN);
+    if (!match) return null;
+
+    const value = parseFloat(match[1].replace(',', '.'));
+    const unit = /^m|^mè/i.test(match[2]) ? 'm' : 'ft';
+    return value > 0 ? { value, unit } : null;
+  }
+
+  /**
+   * Map spec table labels to raw attribute values
+   */
+  static fromSpecs(specs) {
+    const values = {};
+
+    Object.entries(specs || {}).forEach(([label, value]) => {
+      const cleanLabel = String(label).replace(/[:\s]+$/, '').trim();
+      const attribute = Object.keys(SPEC_LABELS).find(key => SPEC_LABELS[key].test(cleanLabel));
+      if (!attribute || values[attribute] || !value) return;
+
+      // "Tool only: Yes" / "Batteries included: 2" read as a kit description
+      values[attribute] = attribute === 'kitType'
+        ? ToolAttributes.describeKitSpec(cleanLabel, String(value))
+        : String(value).trim();
+    });
+
+    return values;
+  }
+
+  static describeKitSpec(label, value) {
+    const yes = /^(?:yes|oui|ja|true)$/i.test(value.trim());
+    const no = /^(?:no|none|non|nein|false|0)$/i.test(value.trim());
+
+    if (/tool\s+only|bare\s+tool/i.test(label)) {
+      return yes ? 'tool only' : (no ? 'kit' : value);
+    }
+    if (no) return 'battery not included';
+    if (/^\d$/.test(value.trim())) {
+      return `with ${value.trim()} batteries`;
+    }
+    if (yes) return 'batteries included';
+    return value;
+  }
+
+  static canonicalBrand(text) {
+    if (!text) return null;
+    const match = TOOL_BRANDS.find(([, pattern]) => pattern.test(String(text)));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Whether a seller name is the brand's own store ("Milwaukee Tool", "DEWALT
+   * Official Store") rather than a reseller that merely mentions the brand
+   */
+  static isBrandStore(sellerName, brand) {
+    if (!sellerName || !brand || ToolAttributes.canonicalBrand(sellerName) !== brand) return false;
+
+    const [, pattern] = TOOL_BRANDS.find(([name]) => name === brand);
+    const leftover = String(sellerName)
+      .replace(new RegExp(pattern.source, 'gi'), ' ')
+      .replace(BRAND_STORE_WORDS, ' ')
+      .replace(/[\s.,&®™-]/g, '');
+    return leftover.length === 0;
+  }
+
+  /**
+   * Find the battery platform named in text, limited to the brand's own platforms when known
+   */
+  static detectPlatform(brand, text) {
+    if (!text) return null;
+    const candidates = brand
+      ? BATTERY_PLATFORMS.filter(platform => platform.brand === brand)
+      : [];
+    return candidates.find(platform => platform.pattern.test(text)) || null;
+  }
+
+  /**
+   * Work out whether a listing is a kit or a bare tool, and how many batteries come with it
+   */
+  static detectKit(text) {
+    const countMatch = text ? text.match(BATTERY_COUNT_PATTERN) : null;
+    const countText = countMatch ? (countMatch[1] || countMatch[2] || countMatch[3]).toLowerCase() : null;
+    const batteryCount = countText ? (NUMBER_WORDS[countText] || parseInt(countText, 10)) : null;
+
+    if (!text) return { kitType: null, batteryCount: null };
+    if (BARE_TOOL_PATTERN.test(text)) return { kitType: 'bare', batteryCount: 0 };
+
+    const kitText = text.replace(NON_POWER_KIT_PATTERN, ' ');
+    if (batteryCount || KIT_PATTERN.test(kitText)) {
+      return { kitType: 'kit', batteryCount };
+    }
+    return { kitType: null, batteryCount: null };
+  }
+
+  /**
+   * Pick the manufacturer part number out of a title, preferring one in parentheses
+   */
+  static detectModel(title) {
+    if (!title) return null;
+    const tokens = (String(title).match(MODEL_TOKEN_PATTERN) || [])
+      .filter(token => !NOT_A_MODEL_PATTERN.test(token));
+    if (tokens.length === 0) return null;
+
+    const bracketed = tokens.find(token => new RegExp(`\\(${token}\\)`).test(title));
+    return bracketed || tokens[0];
+  }
+
+  static parseVoltage(text) {
+    if (text === null || text === undefined) return null;
+    if (typeof text === 'number') return isFinite(text) ? text : null;
+
+    const match = String(text).match(/(\d+(?:[.,]\d+)?)\s*-?\s*(?:v\b|volts?\b|vdc\b|v(?=\s*max))/i) ||
+      String(text).match(/^\s*(\d+(?:[.,]\d+)?)\s*$/);
+    return match ? parseFloat(match[1].replace(',', '.')) : null;
+  }
+
+  /**
+   * Keep only well-formed UPC/EAN/GTIN digit strings
+   */
+  static normalizeUpc(value) {
+    if (!value) return null;
+    const digits = String(value).replace(/[\s-]/g, '');
+    return /^(?:\d{8}|\d{12,14})$/.test(digits) ? digits : null;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ToolAttributes;
+}